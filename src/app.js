@@ -6,6 +6,26 @@ const { logger } = require('./utils/logger');
 const config = require('./utils/config');
 const geminiService = require('./services/gemini');
 const validator = require('./services/validator');
+const jobQueue = require('./services/jobQueue');
+const apiKeys = require('./services/apiKeys');
+const templates = require('./services/templates');
+const moderationEngine = require('./services/moderation');
+const imageStorage = require('./services/imageStorage');
+const history = require('./services/history');
+const { authenticate, requireApiKey, requireAdmin } = require('./middleware/auth');
+const { setRateLimitHeaders, applyRateLimit } = require('./middleware/rateLimit');
+const { asyncHandler, errorHandler } = require('./middleware/errorHandler');
+const { listStylePresets } = require('./utils/stylePresets');
+const imageMetadata = require('./utils/imageMetadata');
+const { resizeFor, transformImage } = require('./utils/imageTransform');
+const { prepareEdit } = require('./utils/imageEdit');
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ServiceUnavailableError,
+  TimeoutError,
+} = require('./utils/errors');
 
 // Load environment variables
 dotenv.config();
@@ -66,12 +86,14 @@ app.get('/health', async (req, res) => {
       try {
         await geminiService.testAuth();
         healthStatus.services = {
-          gemini: 'connected'
+          gemini: 'connected',
+          accessToken: geminiService.getTokenStatus()
         };
       } catch (error) {
         healthStatus.services = {
           gemini: 'disconnected',
-          error: error.message
+          error: error.message,
+          accessToken: geminiService.getTokenStatus()
         };
         return res.status(503).json(healthStatus);
       }
@@ -88,178 +110,808 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API endpoint for image generation
-app.post('/api/generate', async (req, res) => {
-  const startTime = Date.now();
-  let userId = req.ip || 'anonymous';
+// Resolve the caller (API key or IP) for routes that consume quota
+app.use(['/api/generate', '/api/edit', '/api/jobs', '/api/optimize-prompt', '/api/usage', '/api/templates', '/api/history'], authenticate);
+// Callers behind one NAT share an IP identity, so history is kept only for API keys
+app.use('/api/history', requireApiKey);
+
+// Build the success body shared by /api/generate and finished jobs
+const buildGenerationResponse = (imageData, prompt, validatedOptions, userId, processingTime, { template = null, moderation = null, edit = null } = {}) => ({
+  success: true,
+  data: {
+    base64: imageData.base64,
+    mimeType: imageData.mimeType,
+    id: imageData.id,
+    url: imageData.url,
+    urlExpiresAt: imageData.urlExpiresAt,
+    count: imageData.images.length,
+    images: imageData.images
+  },
+  prompt: {
+    original: prompt,
+    used: imageData.promptUsed,
+    wasOptimized: imageData.promptWasTransformed || false,
+    optimizationMethod: imageData.transformationMethod || 'none',
+    strategy: imageData.strategyUsed,
+    style: imageData.styleUsed || null,
+    detectedIssues: imageData.detectedIssues || [],
+    enhancement: imageData.enhancement || null,
+    template,
+    moderation: moderation && {
+      policy: moderation.policy,
+      rewritten: moderation.rewritten,
+      matchedRules: moderation.matchedRules
+    }
+  },
+  ...(edit && { edit }),
+  options: validatedOptions,
+  metadata: {
+    timestamp: new Date().toISOString(),
+    userId: userId,
+    modelUsed: imageData.modelUsed,
+    processingTimeMs: processingTime
+  }
+});
+
+// Keeps a finished generation in the caller's history; a failure here never fails the generation.
+// Callers without an API key have no history: see requireApiKey
+const recordHistory = (identity, response, source) => {
+  if (identity.type === 'ip') {
+    return;
+  }
 
   try {
-    const { prompt, options } = req.body;
-    
-    // Enhanced input validation
+    history.record({
+      userId: response.metadata.userId,
+      prompt: {
+        original: response.prompt.original,
+        used: response.prompt.used,
+        transformationMethod: response.prompt.optimizationMethod,
+        strategy: response.prompt.strategy,
+        style: response.prompt.style,
+        template: response.prompt.template && { id: response.prompt.template.id, name: response.prompt.template.name }
+      },
+      modelUsed: response.metadata.modelUsed,
+      options: response.options,
+      processingTimeMs: response.metadata.processingTimeMs,
+      source,
+      images: response.data.images
+    });
+  } catch (error) {
+    logger.error(`Failed to record history for user ${response.metadata.userId}: ${error.message}`);
+  }
+};
+
+// Converts the generated images to the requested format and size, with thumbnails when asked for
+const processImages = async (imageData, validatedOptions) => {
+  const { sizes, thumbnailSize } = config.gemini.imageOptions;
+
+  const images = await Promise.all(imageData.images.map(async image => {
+    const result = await transformImage(Buffer.from(image.base64, 'base64'), {
+      format: validatedOptions.format,
+      resize: resizeFor(validatedOptions, sizes),
+      quality: validatedOptions.compressionQuality,
+      thumbnailSize: validatedOptions.thumbnail ? thumbnailSize : null
+    });
+
+    const { thumbnail } = result;
+    return {
+      ...image,
+      base64: result.data.toString('base64'),
+      mimeType: result.mimeType,
+      width: result.width,
+      height: result.height,
+      ...(thumbnail && {
+        thumbnail: { base64: thumbnail.data.toString('base64'), mimeType: thumbnail.mimeType, width: thumbnail.width, height: thumbnail.height }
+      })
+    };
+  }));
+
+  return { ...imageData, images, base64: images[0].base64, mimeType: images[0].mimeType };
+};
+
+// Writes the generation details into each image file, or strips what the model wrote, per options.metadata.
+// An image that can't be rewritten is returned as the model produced it.
+const applyImageMetadata = (imageData, prompt, validatedOptions) => {
+  const metadata = {
+    prompt,
+    promptUsed: imageData.promptUsed,
+    model: imageData.modelUsed,
+    strategy: imageData.strategyUsed,
+    seed: validatedOptions.seed ?? null,
+    createdAt: new Date().toISOString(),
+    software: `${config.app.name} ${config.app.version}`
+  };
+
+  const images = imageData.images.map(image => {
+    try {
+      const data = Buffer.from(image.base64, 'base64');
+      const rewritten = validatedOptions.metadata === 'embed'
+        ? imageMetadata.embedMetadata(data, metadata)
+        : imageMetadata.stripMetadata(data);
+      return { ...image, base64: rewritten.toString('base64') };
+    } catch (error) {
+      logger.warn(`Could not ${validatedOptions.metadata} metadata of image ${image.index}: ${error.message}`);
+      return image;
+    }
+  });
+
+  return { ...imageData, images, base64: images[0].base64 };
+};
+
+// Saves the generated images; with response: "url" their base64 is left out of the response.
+// Inline images are only kept for callers with history: nobody else could find them again
+const storeImages = async (imageData, validatedOptions, identity) => {
+  const userId = identity.id;
+  if (!imageStorage.enabled || (validatedOptions.response !== 'url' && identity.type === 'ip')) {
+    return imageData;
+  }
+
+  let images;
+  try {
+    images = await imageStorage.saveAll(imageData.images, userId);
+  } catch (error) {
+    if (validatedOptions.response === 'url') {
+      throw error;
+    }
+    // Inline images still reach the caller; only the links are missing
+    logger.error(`Returning unstored images to user ${userId}: ${error.message}`);
+    return imageData;
+  }
+
+  if (validatedOptions.response === 'url') {
+    images = images.map(({ base64, ...image }) => {
+      if (!image.thumbnail) {
+        return image;
+      }
+      const { base64: thumbnailBase64, ...thumbnail } = image.thumbnail;
+      return { ...image, thumbnail };
+    });
+  }
+
+  const [first] = images;
+  return {
+    ...imageData,
+    images,
+    base64: first.base64,
+    id: first.id,
+    url: first.url,
+    urlExpiresAt: first.urlExpiresAt
+  };
+};
+
+const templateNotFound = (id) => new NotFoundError(`Template ${id} not found`, 'TEMPLATE_NOT_FOUND');
+
+// Looks up a template the caller is about to replace or delete
+const getModifiableTemplate = (req) => {
+  const template = templates.get(req.params.id);
+  if (!template) throw templateNotFound(req.params.id);
+  if (!templates.canModify(template, req.identity)) {
+    throw new ForbiddenError('Only the API key that created this template, or an admin, can change it', 'TEMPLATE_FORBIDDEN');
+  }
+
+  return template;
+};
+
+// A request sends either a prompt or a templateId with variables to render one.
+// Prompt presence is checked before anything else so a missing prompt gets its own code.
+const resolvePrompt = ({ prompt, templateId, variables }) => {
+  if (templateId === undefined) {
     if (!prompt) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'MISSING_PROMPT',
-          message: 'Prompt is required',
-          timestamp: new Date().toISOString()
-        }
-      });
+      throw new ValidationError('Prompt is required', 'MISSING_PROMPT');
     }
+    return { prompt, template: null };
+  }
 
-    // Validate rate limit and input
-    validator.validateRateLimit(userId);
-    validator.validateUserInput(prompt);
-    
-    // Validate optional parameters if provided
-    const validatedOptions = validator.validateImageOptions(options);
+  if (prompt !== undefined) {
+    throw new ValidationError('Send either prompt or templateId, not both', 'AMBIGUOUS_PROMPT');
+  }
+
+  const template = templates.get(templateId);
+  if (!template) {
+    throw templateNotFound(templateId);
+  }
+
+  const rendered = templates.render(template, variables);
+  return {
+    prompt: rendered.prompt,
+    template: { id: template.id, name: template.name, variables: rendered.variables }
+  };
+};
+
+// API endpoint for image generation
+app.post('/api/generate', async (req, res, next) => {
+  const startTime = Date.now();
+  const userId = req.identity.id;
+  const controller = new AbortController();
+  let lease = null;
+  let timedOut = false;
+
+  // The slot is tied to the response: it is released when the response
+  // finishes or the client disconnects, whichever comes first. A disconnect
+  // also stops any remaining generation attempts.
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn(`Client disconnected before generation finished for user ${userId}`);
+      controller.abort();
+    }
+    if (lease) {
+      lease.release();
+    }
+  });
+
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, config.app.generationTimeoutMs);
+
+  try {
+    const { prompt, template } = resolvePrompt(req.body);
+    const { options } = req.body;
+
+    // Validate input before taking quota so rejected requests cost nothing
+    const moderation = validator.validateUserInput(prompt, { tenant: req.identity.tenant });
+    const validatedOptions = validator.validateImageOptions(options, { strategyNames: geminiService.getStrategyNames() });
+
+    ({ lease } = await applyRateLimit(req, res));
     
     logger.info(`Starting image generation for user ${userId}`);
     
     // Generate the image (now with AI-powered prompt optimization)
-    const imageData = await geminiService.generateImage(prompt, userId);
+    const generated = await geminiService.generateImage(moderation.prompt, userId, validatedOptions, {
+      signal: controller.signal,
+      tenant: req.identity.tenant
+    });
+    const processed = applyImageMetadata(await processImages(generated, validatedOptions), prompt, validatedOptions);
+    const imageData = await storeImages(processed, validatedOptions, req.identity);
     
     const processingTime = Date.now() - startTime;
     
     // Return enhanced response with optimization details
-    res.status(200).json({
-      success: true,
-      data: {
-        base64: imageData.base64,
-        mimeType: imageData.mimeType
-      },
-      prompt: {
-        original: imageData.originalPrompt || prompt,
-        used: imageData.promptUsed,
-        wasOptimized: imageData.promptWasOptimized || false,
-        optimizationMethod: imageData.optimizationMethod || 'none'
-      },
-      options: validatedOptions,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        userId: userId,
-        processingTimeMs: processingTime
-      }
-    });
+    const response = buildGenerationResponse(imageData, prompt, validatedOptions, userId, processingTime, { template, moderation });
+    recordHistory(req.identity, response, 'generate');
+    res.status(200).json(response);
 
     logger.info(`Image generation completed for user ${userId} in ${processingTime}ms`);
     
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    logger.error(`Error generating image for user ${userId}: ${error.message}`);
-    
-    // Enhanced error response with specific error codes
-    let errorCode = 'GENERATION_ERROR';
-    let userMessage = error.message;
-    let statusCode = 400;
-    
-    if (error.message.includes('content policy') || error.message.includes('safety')) {
-      errorCode = 'CONTENT_POLICY_VIOLATION';
-      userMessage = 'Your request could not be processed due to content guidelines. Please try rephrasing your prompt or removing specific brand names.';
-    } else if (error.message.includes('rate limit') || error.message.includes('Rate limit')) {
-      errorCode = 'RATE_LIMIT_EXCEEDED';
-      statusCode = 429;
-    } else if (error.message.includes('authentication') || error.message.includes('credentials')) {
-      errorCode = 'AUTHENTICATION_ERROR';
-      userMessage = 'Service temporarily unavailable. Please try again later.';
-      statusCode = 503;
-    } else if (error.message.includes('quota') || error.message.includes('Quota')) {
-      errorCode = 'QUOTA_EXCEEDED';
-      userMessage = 'Service quota exceeded. Please try again later.';
-      statusCode = 503;
-    } else if (error.message.includes('permission') || error.message.includes('Forbidden')) {
-      errorCode = 'PERMISSION_ERROR';
-      userMessage = 'Service configuration error. Please contact support.';
-      statusCode = 503;
-    } else if (error.message.includes('Invalid') || error.message.includes('validation')) {
-      errorCode = 'VALIDATION_ERROR';
-      statusCode = 400;
+    logger.error(`Error generating image for user ${userId} after ${Date.now() - startTime}ms: ${error.message}`);
+
+    // Nobody is listening any more
+    if (res.destroyed) {
+      return;
     }
-    
-    res.status(statusCode).json({
-      success: false,
-      error: {
-        code: errorCode,
-        message: userMessage,
-        timestamp: new Date().toISOString(),
-        processingTimeMs: processingTime
+
+    next(timedOut
+      ? new TimeoutError('Image generation took too long. Try again, or use /api/jobs for long-running generations.')
+      : error);
+  } finally {
+    clearTimeout(timeout);
+    // Release the slot regardless of success/failure; a no-op if already released
+    if (lease) {
+      await lease.release();
+    }
+  }
+});
+
+// How the edited area was chosen: image, rectangles, background, foreground or outpaint
+const maskSource = (edit) => {
+  if (edit.outpaint) {
+    return 'outpaint';
+  }
+  if (edit.mask.auto) {
+    return edit.mask.auto;
+  }
+  return edit.mask.image ? 'image' : 'rectangles';
+};
+
+// Image editing: inpainting inside a mask, outpainting onto added padding, or a background swap
+app.post('/api/edit', async (req, res, next) => {
+  const startTime = Date.now();
+  const userId = req.identity.id;
+  const controller = new AbortController();
+  let lease = null;
+  let timedOut = false;
+
+  // Released with the response, as in /api/generate
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn(`Client disconnected before the edit finished for user ${userId}`);
+      controller.abort();
+    }
+    if (lease) {
+      lease.release();
+    }
+  });
+
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, config.app.generationTimeoutMs);
+
+  try {
+    const { prompt = '', options } = req.body;
+    const edit = validator.validateEditRequest(req.body);
+
+    // Removal needs no description of what to paint
+    if (!prompt && edit.mode !== 'inpaint-remove') {
+      throw new ValidationError(`Prompt is required for ${edit.mode}`, 'MISSING_PROMPT');
+    }
+    const moderation = prompt ? validator.validateUserInput(prompt, { tenant: req.identity.tenant }) : null;
+    const validatedOptions = validator.validateImageOptions(options, { strategyNames: geminiService.getStrategyNames() });
+    const prepared = await prepareEdit(edit, config.gemini.edit);
+
+    ({ lease } = await applyRateLimit(req, res));
+
+    const edited = await geminiService.editImage({
+      mode: edit.mode,
+      prompt: moderation ? moderation.prompt : '',
+      ...prepared
+    }, userId, validatedOptions, { signal: controller.signal });
+    const processed = applyImageMetadata(await processImages(edited, validatedOptions), prompt, validatedOptions);
+    const imageData = await storeImages(processed, validatedOptions, req.identity);
+
+    const processingTime = Date.now() - startTime;
+    const response = buildGenerationResponse(imageData, prompt, validatedOptions, userId, processingTime, {
+      moderation,
+      edit: {
+        mode: edit.mode,
+        mask: maskSource(edit),
+        ...(edit.outpaint && { outpaint: edit.outpaint }),
+        width: prepared.width,
+        height: prepared.height
       }
     });
+    recordHistory(req.identity, response, 'edit');
+    res.status(200).json(response);
+
+    logger.info(`Image edit completed for user ${userId} in ${processingTime}ms`);
+  } catch (error) {
+    logger.error(`Error editing image for user ${userId} after ${Date.now() - startTime}ms: ${error.message}`);
+
+    if (res.destroyed) {
+      return;
+    }
+
+    next(timedOut
+      ? new TimeoutError('Image editing took too long. Try again with a smaller image.')
+      : error);
   } finally {
-    // Decrement concurrent request count regardless of success/failure
-    if (userId && userId !== 'anonymous') {
-      try {
-        validator.decrementConcurrentRequests(userId);
-      } catch (error) {
-        logger.warn('Failed to decrement concurrent requests:', error.message);
-      }
+    clearTimeout(timeout);
+    if (lease) {
+      await lease.release();
     }
   }
 });
 
-// NEW: Endpoint to test prompt optimization without generating image
-app.post('/api/optimize-prompt', async (req, res) => {
+// Asynchronous generation: queue a job and poll for the result
+app.post('/api/jobs', async (req, res, next) => {
+  const userId = req.identity.id;
+  const { options } = req.body;
+  let lease = null;
+
   try {
-    const { prompt } = req.body;
-    
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_PROMPT',
-          message: 'Prompt is required and must be a string',
-          timestamp: new Date().toISOString()
-        }
+    const { prompt, template } = resolvePrompt(req.body);
+    const moderation = validator.validateUserInput(prompt, { tenant: req.identity.tenant });
+    const validatedOptions = validator.validateImageOptions(options, { strategyNames: geminiService.getStrategyNames() });
+    ({ lease } = await applyRateLimit(req, res));
+
+    const job = jobQueue.enqueue(
+      { userId, prompt: moderation.prompt, options: validatedOptions },
+      async ({ onProgress, signal }) => {
+        const startTime = Date.now();
+        const generated = await geminiService.generateImage(moderation.prompt, userId, validatedOptions, {
+          onProgress,
+          signal,
+          tenant: req.identity.tenant
+        });
+        const processed = applyImageMetadata(await processImages(generated, validatedOptions), prompt, validatedOptions);
+        const imageData = await storeImages(processed, validatedOptions, req.identity);
+        const response = buildGenerationResponse(imageData, prompt, validatedOptions, userId, Date.now() - startTime, { template, moderation });
+        recordHistory(req.identity, response, 'job');
+        return response;
+      },
+      { onSettled: () => lease.release() }
+    );
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        success: true,
+        data: jobQueue.serialize(job)
       });
+  } catch (error) {
+    // Only reached before the job takes ownership of the slot
+    if (lease) {
+      await lease.release();
     }
 
-    if (prompt.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'PROMPT_TOO_LONG',
-          message: 'Prompt must be less than 1000 characters',
-          timestamp: new Date().toISOString()
-        }
-      });
+    logger.error(`Error queueing job for user ${userId}: ${error.message}`);
+    next(error);
+  }
+});
+
+// Jobs are only visible to the caller that created them
+const findOwnJob = (req) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.userId !== req.identity.id) {
+    throw new NotFoundError(`Job ${req.params.id} not found or expired`, 'JOB_NOT_FOUND');
+  }
+  return job;
+};
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req);
+
+  res.status(200).json({
+    success: true,
+    data: jobQueue.serialize(job)
+  });
+});
+
+// Server-Sent Events stream of a job's progress: replays earlier events, then
+// follows the job live until it finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findOwnJob(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendStatus = () => send('status', { id: job.id, status: job.status });
+
+  const sendFinal = () => {
+    send(job.status === 'succeeded' ? 'complete' : 'failed', jobQueue.serialize(job));
+  };
+
+  sendStatus();
+  job.events.forEach(event => send('progress', event));
+
+  if (jobQueue.isFinished(job)) {
+    sendFinal();
+    return res.end();
+  }
+
+  let lastStatus = job.status;
+
+  const onProgress = (updated, event) => {
+    if (updated.id === job.id) {
+      send('progress', event);
     }
+  };
 
-    // Use the AI optimization function
-    const result = await geminiService.optimizePromptWithAI(prompt);
-    
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id || updated.status === lastStatus) return;
+    lastStatus = updated.status;
+    sendStatus();
+
+    if (jobQueue.isFinished(updated)) {
+      sendFinal();
+      cleanup();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.jobs.heartbeatMs);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('progress', onProgress);
+    jobQueue.off('update', onUpdate);
+  };
+
+  jobQueue.on('progress', onProgress);
+  jobQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req);
+
+  jobQueue.cancel(job.id);
+  res.status(200).json({
+    success: true,
+    data: jobQueue.serialize(job)
+  });
+});
+
+// NEW: Endpoint to test prompt optimization without generating image
+app.post('/api/optimize-prompt', asyncHandler(async (req, res) => {
+  const { prompt } = req.body;
+  const enhancement = validator.validateEnhancement(req.body);
+
+  // Validates the prompt (INVALID_PROMPT / PROMPT_TOO_LONG) before calling the text model
+  const result = await geminiService.optimizePromptWithAI(prompt, enhancement, { tenant: req.identity.tenant });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      original: result.original,
+      optimized: result.optimized,
+      method: result.method,
+      wasChanged: result.original !== result.optimized,
+      issues: result.issues,
+      enhancement: { mode: enhancement.mode, enhancers: result.enhancers || [] },
+      rationale: result.rationale,
+      timestamp: new Date().toISOString()
+    }
+  });
+}));
+
+// Remaining budget for the caller, without consuming any
+app.get('/api/usage', async (req, res, next) => {
+  try {
+    const usage = await validator.getUsage(req.identity.id, req.identity.quotas);
+    const describeWindow = (state) => state && {
+      limit: state.limit,
+      used: state.used,
+      remaining: state.remaining,
+      resetsInSeconds: Math.ceil(state.resetMs / 1000)
+    };
+
+    setRateLimitHeaders(res, usage.hourly);
     res.status(200).json({
       success: true,
       data: {
-        original: result.original,
-        optimized: result.optimized,
-        method: result.method,
-        wasChanged: result.original !== result.optimized,
+        identity: {
+          type: req.identity.type,
+          ...(req.identity.keyId && { keyId: req.identity.keyId, name: req.identity.name, tenant: req.identity.tenant })
+        },
+        algorithm: 'sliding_window',
+        hourly: describeWindow(usage.hourly),
+        daily: describeWindow(usage.daily),
+        concurrency: usage.concurrency,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    logger.error('Error optimizing prompt:', error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'OPTIMIZATION_ERROR',
-        message: 'Failed to optimize prompt. Please try again.',
-        timestamp: new Date().toISOString()
-      }
-    });
+    logger.error('Usage lookup failed:', error.message);
+    next(new ServiceUnavailableError('Usage information is temporarily unavailable', 'USAGE_UNAVAILABLE'));
   }
 });
 
+const imageNotFound = (id) => new NotFoundError(`Image ${id} not found`, 'IMAGE_NOT_FOUND');
+
+// Stored images. Not behind authenticate so URLs work in <img> tags: IDs are
+// unguessable, and with IMAGE_URL_SIGNING_SECRET set, URLs are signed and expire.
+app.get('/api/images/:id', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!imageStorage.enabled || !imageStorage.isValidId(id)) {
+    throw imageNotFound(id);
+  }
+
+  const problem = imageStorage.checkUrl(id, req.query);
+  if (problem === 'expired') {
+    throw new ForbiddenError('This image URL has expired. Get a new one from /api/images/:id/url.', 'IMAGE_URL_EXPIRED');
+  }
+  if (problem) {
+    throw new ForbiddenError('This image URL is missing a valid signature', 'INVALID_IMAGE_SIGNATURE');
+  }
+
+  const image = await imageStorage.load(id);
+  if (!image) {
+    throw imageNotFound(id);
+  }
+
+  // The bytes behind an ID never change; a signed URL is only cacheable until it expires
+  const cacheControl = imageStorage.getStatus().signedUrls
+    ? `private, max-age=${Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000))}`
+    : 'public, max-age=31536000, immutable';
+
+  res.set({
+    'Content-Type': image.metadata.mimeType,
+    'Cache-Control': cacheControl,
+    'ETag': `"${image.metadata.etag}"`,
+    'Last-Modified': new Date(image.metadata.createdAt).toUTCString(),
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.status(200).send(image.data);
+}));
+
+// A fresh URL for one of the caller's images, for when a signed URL has expired
+app.get('/api/images/:id/url', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const image = imageStorage.enabled && imageStorage.isValidId(id) ? await imageStorage.load(id) : null;
+  if (!image || image.metadata.userId !== req.identity.id) {
+    throw imageNotFound(id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { id, ...imageStorage.createUrl(id) }
+  });
+}));
+
+// The image to inspect: raw PNG/JPEG bytes, or JSON { image } holding base64 or a data URL
+const readUploadedImage = (body) => {
+  if (Buffer.isBuffer(body) && body.length > 0) {
+    return body;
+  }
+  if (body && typeof body.image === 'string' && body.image.length > 0) {
+    return Buffer.from(body.image.replace(/^data:[^,]*;base64,/, ''), 'base64');
+  }
+  throw new ValidationError('Send the image as a PNG or JPEG request body, or as JSON { "image": "<base64>" }', 'MISSING_IMAGE');
+};
+
+// Reads back the generation details embedded in an image this service produced
+app.post('/api/inspect', express.raw({ type: ['image/png', 'image/jpeg'], limit: '10mb' }), (req, res) => {
+  const image = readUploadedImage(req.body);
+
+  let result;
+  try {
+    result = imageMetadata.readMetadata(image);
+  } catch (error) {
+    throw new ValidationError(`Invalid image: ${error.message}`, 'INVALID_IMAGE');
+  }
+  if (!result.format) {
+    throw new ValidationError('Unsupported image format: Must be PNG or JPEG', 'UNSUPPORTED_IMAGE_FORMAT');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { ...result, size: image.length }
+  });
+});
+
+// Style presets selectable with options.style
+app.get('/api/styles', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listStylePresets()
+  });
+});
+
+// Prompt templates, shared by every caller
+app.get('/api/templates', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: templates.list()
+  });
+});
+
+app.post('/api/templates', (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: templates.create(req.body, req.identity.id)
+  });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = templates.get(req.params.id);
+  if (!template) throw templateNotFound(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  getModifiableTemplate(req);
+
+  res.status(200).json({
+    success: true,
+    data: templates.update(req.params.id, req.body, req.identity.id)
+  });
+});
+
+app.delete('/api/templates/:id', (req, res) => {
+  getModifiableTemplate(req);
+
+  res.status(200).json({
+    success: true,
+    data: templates.remove(req.params.id)
+  });
+});
+
+// The caller's generation history, newest first
+app.get('/api/history', (req, res) => {
+  const { entries, pagination } = history.list(req.identity.id, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    pagination
+  });
+});
+
+const historyEntryNotFound = (id) => new NotFoundError(`History entry ${id} not found`, 'HISTORY_ENTRY_NOT_FOUND');
+
+app.get('/api/history/:id', (req, res) => {
+  const entry = history.get(req.identity.id, req.params.id);
+  if (!entry) throw historyEntryNotFound(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+app.delete('/api/history/:id', asyncHandler(async (req, res) => {
+  const entry = await history.remove(req.identity.id, req.params.id);
+  if (!entry) throw historyEntryNotFound(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+}));
+
+app.delete('/api/history', asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { deleted: await history.clear(req.identity.id) }
+  });
+}));
+
+// Admin: API key management
+const keyNotFound = (id) => new NotFoundError(`API key ${id} not found`, 'API_KEY_NOT_FOUND');
+
+app.use('/api/admin', requireAdmin);
+
+app.post('/api/admin/keys', (req, res) => {
+  const { key, record } = apiKeys.create(req.body || {});
+  res.status(201).json({
+    success: true,
+    data: { key, ...record }
+  });
+});
+
+app.get('/api/admin/keys', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: apiKeys.list()
+  });
+});
+
+app.post('/api/admin/keys/:id/rotate', (req, res) => {
+  const rotated = apiKeys.rotate(req.params.id);
+  if (!rotated) throw keyNotFound(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { key: rotated.key, ...rotated.record }
+  });
+});
+
+app.delete('/api/admin/keys/:id', (req, res) => {
+  const record = apiKeys.revoke(req.params.id);
+  if (!record) throw keyNotFound(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: record
+  });
+});
+
 // NEW: Service status endpoint
 app.get('/api/status', async (req, res) => {
   try {
     const status = {
       service: 'AI Image Generation API',
-      version: '2.0.0',
+      version: config.app.version,
       status: 'operational',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
+      imageProvider: geminiService.providerName,
+      credentialSource: geminiService.credentialSource || null,
+      rateLimitStore: validator.store.name,
+      jobs: jobQueue.getStats(),
+      circuitBreakers: geminiService.getCircuitBreakerStates(),
+      strategyPipeline: geminiService.getStrategyPipelineStatus(),
+      moderation: moderationEngine.getStatus(),
+      storage: imageStorage.getStatus(),
       features: {
         aiPromptOptimization: true,
         contentPolicyValidation: true,
@@ -268,6 +920,10 @@ app.get('/api/status', async (req, res) => {
       }
     };
 
+    if (Object.values(status.circuitBreakers).some(breaker => breaker.state === 'open')) {
+      status.status = 'degraded';
+    }
+
     // Test Gemini service if requested
     if (req.query.test === 'true') {
       try {
@@ -297,7 +953,7 @@ app.get('/api/docs', (req, res) => {
   res.status(200).json({
     title: 'AI-Powered Image Generation API',
     description: 'Generate high-quality images from text prompts with intelligent optimization',
-    version: '2.0.0',
+    version: config.app.version,
     baseUrl: req.protocol + '://' + req.get('host'),
     endpoints: [
       {
@@ -307,37 +963,172 @@ app.get('/api/docs', (req, res) => {
         parameters: {
           prompt: {
             type: 'string',
-            required: true,
+            required: 'Unless templateId is given',
             maxLength: 1000,
             description: 'Text description of the image to generate'
           },
+          templateId: {
+            type: 'string',
+            required: false,
+            description: 'Render the prompt from a saved template instead of sending one'
+          },
+          variables: {
+            type: 'object',
+            required: false,
+            description: 'Values for the template variables; defaults fill the rest'
+          },
           options: {
             type: 'object',
             required: false,
-            description: 'Additional generation options (future use)'
+            description: 'Additional generation options',
+            properties: {
+              aspectRatio: {
+                type: 'string',
+                enum: config.gemini.imageOptions.aspectRatios,
+                default: config.gemini.imageOptions.defaults.aspectRatio
+              },
+              negativePrompt: {
+                type: 'string',
+                maxLength: config.gemini.imageOptions.maxNegativePromptLength,
+                description: 'Comma-separated things the model should avoid depicting'
+              },
+              negativePromptMode: {
+                type: 'string',
+                enum: ['merge', 'replace'],
+                default: 'merge',
+                description: `merge adds the style's exclusions and the defaults (${config.gemini.negativePrompt.defaults || 'none'}); replace sends only negativePrompt`
+              },
+              seed: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 4294967295,
+                description: 'Fixed seed for reproducible output (disables watermarking)'
+              },
+              count: {
+                type: 'integer',
+                minimum: 1,
+                maximum: config.gemini.imageOptions.maxSampleCount,
+                default: 1,
+                description: 'Number of variants to generate (alias: sampleCount)'
+              },
+              safetyFilterLevel: {
+                type: 'string',
+                enum: config.gemini.imageOptions.safetyFilterLevels,
+                default: config.gemini.imageOptions.defaults.safetyFilterLevel
+              },
+              personGeneration: {
+                type: 'string',
+                enum: config.gemini.imageOptions.personGeneration,
+                description: 'Omitted unless set; not every project is allowlisted for all values'
+              },
+              outputMimeType: {
+                type: 'string',
+                enum: config.gemini.imageOptions.outputMimeTypes,
+                description: 'Format asked of the model; image/jpeg for jpeg output and image/png otherwise'
+              },
+              compressionQuality: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 100,
+                description: 'Quality for jpeg, webp and avif output'
+              },
+              format: {
+                type: 'string',
+                enum: config.gemini.imageOptions.formats,
+                default: config.gemini.imageOptions.defaults.format,
+                description: 'Delivered format; jpg is accepted for jpeg. Images are transcoded when the model\'s output differs'
+              },
+              size: {
+                type: 'string',
+                enum: Object.keys(config.gemini.imageOptions.sizes),
+                description: `Scale to a longest edge of ${Object.values(config.gemini.imageOptions.sizes).join(', ')} pixels; the model's resolution is kept when omitted`
+              },
+              width: {
+                type: 'integer',
+                minimum: config.gemini.imageOptions.minDimension,
+                maximum: config.gemini.imageOptions.maxDimension,
+                description: 'Exact output width; with height too, the image is cropped to fill. Not combined with size'
+              },
+              height: {
+                type: 'integer',
+                minimum: config.gemini.imageOptions.minDimension,
+                maximum: config.gemini.imageOptions.maxDimension,
+                description: 'Exact output height'
+              },
+              thumbnail: {
+                type: 'boolean',
+                default: false,
+                description: `Also return a thumbnail of each image, ${config.gemini.imageOptions.thumbnailSize} pixels on its longest edge`
+              },
+              enhance: {
+                type: 'string',
+                enum: config.gemini.imageOptions.enhanceModes,
+                description: 'When set, adds three quality descriptors to every strategy\'s prompt; deterministic derives them from the prompt and seed, none adds nothing. Unset, prompts are sent as the strategy wrote them'
+              },
+              response: {
+                type: 'string',
+                enum: config.gemini.imageOptions.responseFormats,
+                default: config.gemini.imageOptions.defaults.response,
+                description: 'url returns links to stored images (GET /api/images/:id) instead of inline base64'
+              },
+              metadata: {
+                type: 'string',
+                enum: config.gemini.imageOptions.metadataModes,
+                ...(config.gemini.imageOptions.defaults.metadata && { default: config.gemini.imageOptions.defaults.metadata }),
+                description: 'embed writes the prompt, prompt used, model, strategy, seed, time and service version into PNG text chunks or JPEG XMP; strip removes all file metadata. Defaults to embed for base64 responses and strip for url ones. webp and avif only support strip, their default'
+              },
+              style: {
+                type: 'string',
+                enum: listStylePresets().map(preset => preset.id),
+                description: 'Style preset (see GET /api/styles); wraps the prompt and sets default aspectRatio and negativePrompt'
+              },
+              strategies: {
+                type: 'array',
+                items: { type: 'string', enum: geminiService.getStrategyNames() },
+                default: geminiService.getStrategyPipelineStatus().steps.map(step => step.name),
+                description: 'Prompt strategies to try in order until one produces an image'
+              }
+            }
           }
         },
         responses: {
-          200: 'Success - Returns base64 encoded image with metadata',
+          200: 'Success - Returns base64 encoded images with metadata',
           400: 'Bad Request - Invalid input or content policy violation',
           429: 'Too Many Requests - Rate limit exceeded',
-          503: 'Service Unavailable - Authentication or quota issues'
+          502: 'Bad Gateway - Every generation attempt failed upstream',
+          503: 'Service Unavailable - Authentication or quota issues',
+          504: 'Gateway Timeout - Generation took too long'
         },
         example: {
           request: {
-            prompt: 'African family with nutritional milk product in modern kitchen'
+            prompt: 'African family with nutritional milk product in modern kitchen',
+            options: {
+              aspectRatio: '16:9',
+              negativePrompt: 'text, watermark, logos',
+              seed: 42
+            }
           },
           response: {
             success: true,
             data: {
               base64: 'base64_encoded_image_data',
-              mimeType: 'image/png'
+              mimeType: 'image/png',
+              count: 1,
+              images: [
+                {
+                  index: 0,
+                  base64: 'base64_encoded_image_data',
+                  mimeType: 'image/png'
+                }
+              ]
             },
             prompt: {
               original: 'African family with nutritional milk product in modern kitchen',
               used: 'Professional photograph of family of African descent with nutritional milk product in contemporary kitchen setting, natural lighting, high quality composition',
               wasOptimized: true,
-              optimizationMethod: 'ai_powered'
+              optimizationMethod: 'cultural_enhancement',
+              strategy: 'cultural_enhancement',
+              detectedIssues: []
             },
             metadata: {
               timestamp: '2025-06-04T07:40:08.469Z',
@@ -347,22 +1138,191 @@ app.get('/api/docs', (req, res) => {
           }
         }
       },
+      {
+        path: '/api/edit',
+        method: 'POST',
+        description: `Edit an image with ${config.gemini.edit.model}: inpaint inside a mask, extend it with outpainting, or swap its background`,
+        parameters: {
+          image: {
+            type: 'string',
+            required: true,
+            description: `Base64 or data URL of a PNG or JPEG, at most ${config.gemini.edit.maxDimension} pixels per side`
+          },
+          mode: {
+            type: 'string',
+            required: true,
+            enum: config.gemini.edit.modes
+          },
+          prompt: {
+            type: 'string',
+            required: 'Except for inpaint-remove',
+            maxLength: 1000,
+            description: 'What to paint into the masked area, the padding or the new background'
+          },
+          mask: {
+            type: 'object',
+            required: 'For inpaint-insert and inpaint-remove',
+            description: 'The area to edit, white on black. Not used with outpaint; background-swap detects the background when omitted',
+            properties: {
+              image: {
+                type: 'string',
+                description: 'Base64 or data URL of a PNG or JPEG mask; transparent areas count as black and it is scaled to the image'
+              },
+              rectangles: {
+                type: 'array',
+                maxItems: config.gemini.edit.maxRectangles,
+                description: 'Rectangles { x, y, width, height } in image pixels'
+              },
+              auto: {
+                type: 'string',
+                enum: config.gemini.edit.autoMasks,
+                description: 'Let the model find the area'
+              }
+            }
+          },
+          outpaint: {
+            type: 'object',
+            required: 'For outpaint',
+            description: 'Pixels to add on each side: { top, right, bottom, left }; missing sides add none'
+          },
+          options: {
+            type: 'object',
+            required: false,
+            description: 'The /api/generate options. The output keeps the input\'s shape, so aspectRatio is ignored; prompts are sent as written, so strategies and enhance are too, and style only adds its negative prompt'
+          }
+        },
+        responses: {
+          200: 'Success - Returns the edited images with an edit summary',
+          400: 'Bad Request - Invalid image, mask, mode or prompt',
+          429: 'Too Many Requests - Rate limit exceeded',
+          502: 'Bad Gateway - The edit model failed upstream',
+          503: 'Service Unavailable - Authentication or quota issues',
+          504: 'Gateway Timeout - Editing took too long'
+        },
+        example: {
+          request: {
+            image: 'base64_encoded_image_data',
+            mode: 'inpaint-insert',
+            prompt: 'A bowl of fruit on the table',
+            mask: { rectangles: [{ x: 50, y: 50, width: 100, height: 60 }] }
+          },
+          response: {
+            success: true,
+            data: {
+              base64: 'base64_encoded_image_data',
+              mimeType: 'image/jpeg',
+              count: 1
+            },
+            edit: {
+              mode: 'inpaint-insert',
+              mask: 'rectangles',
+              width: 1024,
+              height: 1024
+            },
+            metadata: {
+              timestamp: '2025-06-04T07:40:08.469Z',
+              userId: '127.0.0.1',
+              modelUsed: config.gemini.edit.model,
+              processingTimeMs: 4200
+            }
+          }
+        }
+      },
+      {
+        path: '/api/jobs',
+        method: 'POST',
+        description: 'Queue an image generation job and return immediately. Accepts the same body as /api/generate',
+        parameters: {
+          prompt: {
+            type: 'string',
+            required: 'Unless templateId is given',
+            maxLength: 1000,
+            description: 'Text description of the image to generate'
+          },
+          templateId: {
+            type: 'string',
+            required: false,
+            description: 'Same as /api/generate'
+          },
+          variables: {
+            type: 'object',
+            required: false,
+            description: 'Same as /api/generate'
+          },
+          options: {
+            type: 'object',
+            required: false,
+            description: 'Same options as /api/generate'
+          }
+        },
+        responses: {
+          202: 'Accepted - Returns the queued job; poll the Location header URL',
+          400: 'Bad Request - Invalid input or content policy violation',
+          429: 'Too Many Requests - Rate limit exceeded',
+          503: 'Service Unavailable - Job queue is full'
+        }
+      },
+      {
+        path: '/api/jobs/:id',
+        method: 'GET',
+        description: 'Get job status, current progress (strategy and model being tried) and, once succeeded, the same result body as /api/generate',
+        states: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+        responses: {
+          200: 'Job details',
+          404: 'Job not found or expired'
+        }
+      },
+      {
+        path: '/api/jobs/:id/events',
+        method: 'GET',
+        description: 'Server-Sent Events stream of job progress. Replays earlier events on connect, then follows the job until it finishes',
+        events: {
+          status: 'Job state changed ({ id, status })',
+          progress: 'Progress event; stage is one of auth_check, auth_ok, strategy, prompt_rewrite, model_attempt, retry, model_failed, model_skipped, image_ready',
+          complete: 'Job succeeded; data is the job including the generated images',
+          failed: 'Job failed or was cancelled; data is the job including the error'
+        },
+        responses: {
+          200: 'text/event-stream',
+          404: 'Job not found or expired'
+        }
+      },
+      {
+        path: '/api/jobs/:id',
+        method: 'DELETE',
+        description: 'Cancel a queued or running job. Running jobs stop before their next model attempt',
+        responses: {
+          200: 'Job details after cancellation',
+          404: 'Job not found or expired'
+        }
+      },
       {
         path: '/api/optimize-prompt',
         method: 'POST',
-        description: 'Test prompt optimization without generating an image',
+        description: 'Test prompt optimization without generating an image. Falls back to deterministic rules when the text model is unavailable',
         parameters: {
           prompt: {
             type: 'string',
             required: true,
             maxLength: 1000,
             description: 'Text prompt to optimize'
+          },
+          enhance: {
+            type: 'string',
+            enum: config.gemini.imageOptions.enhanceModes,
+            default: config.gemini.imageOptions.defaults.optimizeEnhance,
+            description: 'Applies to the rule-based fallback; see /api/generate'
+          },
+          seed: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 4294967295,
+            description: 'Varies the deterministic choice of descriptors'
           }
         },
         responses: {
-          200: 'Success - Returns optimized prompt',
-          400: 'Bad Request - Invalid prompt',
-          500: 'Internal Server Error - Optimization failed'
+          200: 'Success - Returns optimized prompt, detected issues and rationale',
+          400: 'Bad Request - Invalid prompt'
         },
         example: {
           request: {
@@ -373,13 +1333,195 @@ app.get('/api/docs', (req, res) => {
             data: {
               original: 'Kids drinking Coca Cola at party',
               optimized: 'Children enjoying cola beverages at celebration gathering, natural lighting, joyful atmosphere, professional photography style',
-              method: 'ai_powered',
+              method: 'ai_optimization',
               wasChanged: true,
+              issues: [],
+              rationale: [
+                'Rewritten by the text model with the cultural sensitivity template',
+                'Added photographic quality descriptors while keeping the subject intact'
+              ],
               timestamp: '2025-06-04T07:40:08.469Z'
             }
           }
         }
       },
+      {
+        path: '/api/images/:id',
+        method: 'GET',
+        description: 'A stored image. No API key needed; signed URLs carry expires and signature query parameters',
+        responses: {
+          200: 'The image bytes, with ETag and Cache-Control headers',
+          304: 'Not Modified - If-None-Match matched',
+          403: 'Forbidden - The URL signature is missing, wrong or expired',
+          404: 'Not Found - No such image'
+        }
+      },
+      {
+        path: '/api/images/:id/url',
+        method: 'GET',
+        description: 'A fresh URL for one of the caller\'s images, e.g. after a signed URL expired'
+      },
+      {
+        path: '/api/history',
+        method: 'GET',
+        description: 'The caller\'s past generations, newest first, with fresh image URLs. Needs an API key: callers without one have no history',
+        query: {
+          q: 'Text to search for in the original or used prompt',
+          model: 'Only generations made by this model',
+          strategy: 'Only generations that used this prompt strategy',
+          from: 'Only generations at or after this ISO 8601 date',
+          to: 'Only generations at or before this ISO 8601 date; a bare date includes the whole day',
+          page: 'Page number (default 1)',
+          limit: 'Entries per page (default 20, max 100)'
+        }
+      },
+      {
+        path: '/api/history/:id',
+        method: 'GET',
+        description: 'One history entry'
+      },
+      {
+        path: '/api/history/:id',
+        method: 'DELETE',
+        description: 'Delete a history entry and its stored images'
+      },
+      {
+        path: '/api/history',
+        method: 'DELETE',
+        description: 'Delete the caller\'s whole history and its stored images'
+      },
+      {
+        path: '/api/inspect',
+        method: 'POST',
+        description: 'Read the generation details embedded in a PNG or JPEG. Send the image as the request body (Content-Type image/png or image/jpeg) or as JSON { image: base64 }',
+        example: {
+          response: {
+            success: true,
+            data: {
+              format: 'png',
+              mimeType: 'image/png',
+              metadata: {
+                prompt: 'A sunset over mountains',
+                promptUsed: 'A sunset over mountains, photorealistic, high detail',
+                model: 'imagegeneration@006',
+                strategy: 'original',
+                seed: 42,
+                createdAt: '2025-06-04T07:40:08.469Z',
+                software: `${config.app.name} ${config.app.version}`
+              },
+              size: 1482113
+            }
+          }
+        }
+      },
+      {
+        path: '/api/styles',
+        method: 'GET',
+        description: 'List style presets with their prompt prefix/suffix, negative prompt and default aspect ratio'
+      },
+      {
+        path: '/api/templates',
+        method: 'POST',
+        description: 'Save a prompt template with typed {{variables}}',
+        parameters: {
+          name: { type: 'string', required: true, maxLength: 100 },
+          description: { type: 'string', required: false, maxLength: 500 },
+          prompt: {
+            type: 'string',
+            required: true,
+            maxLength: config.templates.maxPromptLength,
+            description: 'Prompt text; {{name}} placeholders are replaced with variable values'
+          },
+          variables: {
+            type: 'array',
+            required: false,
+            description: 'One entry per placeholder: { name, type: string|number|integer|enum, description, required, default, options (enum), maxLength (string), min/max (number) }'
+          }
+        },
+        responses: {
+          201: 'Created - Returns the template',
+          400: 'Bad Request - Invalid template; details.problems lists every problem'
+        }
+      },
+      {
+        path: '/api/templates',
+        method: 'GET',
+        description: 'List saved prompt templates'
+      },
+      {
+        path: '/api/templates/:id',
+        method: 'GET',
+        description: 'Get a prompt template'
+      },
+      {
+        path: '/api/templates/:id',
+        method: 'PUT',
+        description: 'Replace a prompt template; takes the same body as POST. Only the API key that created it, or an admin, can do this',
+        responses: {
+          200: 'Returns the updated template',
+          403: 'Forbidden - The caller did not create the template (TEMPLATE_FORBIDDEN)'
+        }
+      },
+      {
+        path: '/api/templates/:id',
+        method: 'DELETE',
+        description: 'Delete a prompt template. Only the API key that created it, or an admin, can do this',
+        responses: {
+          200: 'Returns the deleted template',
+          403: 'Forbidden - The caller did not create the template (TEMPLATE_FORBIDDEN)'
+        }
+      },
+      {
+        path: '/api/usage',
+        method: 'GET',
+        description: 'Remaining hourly, daily and concurrency budget for the caller (API key or IP). Does not consume quota',
+        responses: {
+          200: 'Usage information'
+        }
+      },
+      {
+        path: '/api/admin/keys',
+        method: 'POST',
+        description: 'Create an API key (requires the admin key). The plaintext key is only returned here and on rotation',
+        parameters: {
+          name: {
+            type: 'string',
+            required: true,
+            maxLength: 100
+          },
+          quotas: {
+            type: 'object',
+            required: false,
+            description: 'Overrides for hourly, daily and concurrent limits'
+          },
+          tenant: {
+            type: 'string',
+            required: false,
+            pattern: '^[a-z0-9][a-z0-9_-]{0,63}$',
+            description: 'Selects the moderation policy file named after the tenant, when there is one'
+          }
+        },
+        responses: {
+          201: 'Created - Returns the key and its record',
+          400: 'Bad Request - Invalid name, quotas or tenant',
+          401: 'Unauthorized - Missing or wrong admin key'
+        }
+      },
+      {
+        path: '/api/admin/keys',
+        method: 'GET',
+        description: 'List API keys with quotas and status (requires the admin key)'
+      },
+      {
+        path: '/api/admin/keys/:id/rotate',
+        method: 'POST',
+        description: 'Issue a new secret for a key; the old one stops working immediately (requires the admin key)'
+      },
+      {
+        path: '/api/admin/keys/:id',
+        method: 'DELETE',
+        description: 'Revoke a key (requires the admin key)'
+      },
       {
         path: '/api/status',
         method: 'GET',
@@ -422,11 +1564,29 @@ app.get('/api/docs', (req, res) => {
       'Detailed response metadata',
       'Comprehensive error handling'
     ],
+    authentication: {
+      scheme: 'Authorization: Bearer <api key>',
+      mode: config.auth.mode,
+      description: config.auth.mode === 'required'
+        ? 'Generation endpoints require an API key'
+        : 'API keys are optional; requests without one are limited per IP address'
+    },
     rateLimits: {
-      perUser: '10 requests per minute',
-      concurrent: '3 simultaneous requests per user'
+      algorithm: 'sliding_window',
+      headers: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
+      withoutApiKey: {
+        perHour: config.rateLimit.maxRequestsPerHour,
+        perDay: config.rateLimit.maxRequestsPerDay || 'unlimited',
+        concurrent: config.rateLimit.maxConcurrentGenerations
+      },
+      apiKeyDefaults: config.auth.defaultKeyQuotas
+    },
+    errors: {
+      format: { success: false, error: { code: 'STABLE_ERROR_CODE', message: 'Human readable message', timestamp: 'ISO 8601', details: 'Optional, 4xx only' } },
+      description: 'Branch on error.code; messages may change. See API.md for the full list of codes'
     },
     contentPolicy: {
+      moderation: 'Prompts are checked against a moderation policy of whole-word rules. Block rules reject the request with PROHIBITED_CONTENT and list the matched rules in error.details.matchedRules; rewrite rules replace the matched words; warn rules only report. Applied rules are returned in prompt.moderation',
       prohibited: [
         'Explicit or adult content',
         'Violence or gore',
@@ -455,6 +1615,29 @@ app.use('/api/*', (req, res) => {
         'GET /api/docs',
         'GET /api/status',
         'POST /api/generate',
+        'POST /api/edit',
+        'POST /api/jobs',
+        'GET /api/jobs/:id',
+        'GET /api/jobs/:id/events',
+        'DELETE /api/jobs/:id',
+        'GET /api/usage',
+        'GET /api/images/:id',
+        'GET /api/images/:id/url',
+        'POST /api/inspect',
+        'GET /api/history',
+        'GET /api/history/:id',
+        'DELETE /api/history/:id',
+        'DELETE /api/history',
+        'GET /api/styles',
+        'GET /api/templates',
+        'POST /api/templates',
+        'GET /api/templates/:id',
+        'PUT /api/templates/:id',
+        'DELETE /api/templates/:id',
+        'POST /api/admin/keys',
+        'GET /api/admin/keys',
+        'POST /api/admin/keys/:id/rotate',
+        'DELETE /api/admin/keys/:id',
         'POST /api/optimize-prompt',
         'GET /health'
       ]
@@ -462,64 +1645,56 @@ app.use('/api/*', (req, res) => {
   });
 });
 
-// Global error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip
-  });
+// Global error handling middleware: typed errors map to their status and code
+app.use(errorHandler);
 
-  // Don't expose error details in production
-  const isDevelopment = process.env.NODE_ENV !== 'production';
-  
-  res.status(500).json({
-    success: false,
-    error: {
-      code: 'INTERNAL_SERVER_ERROR',
-      message: 'An unexpected error occurred',
-      timestamp: new Date().toISOString(),
-      ...(isDevelopment && { details: err.message })
-    }
+// Start serving when run directly; tests import the app without listening
+if (require.main === module) {
+  const server = app.listen(process.env.PORT || 3000, () => {
+    const port = process.env.PORT || 3000;
+    logger.info(`🚀 AI Image Generation API server running on port ${port}`);
+    logger.info(`📖 API Documentation available at http://localhost:${port}/api/docs`);
+    logger.info(`💚 Health check available at http://localhost:${port}/health`);
   });
-});
 
-// Graceful shutdown handling
-const server = app.listen(process.env.PORT || 3000, () => {
-  const port = process.env.PORT || 3000;
-  logger.info(`🚀 AI Image Generation API server running on port ${port}`);
-  logger.info(`📖 API Documentation available at http://localhost:${port}/api/docs`);
-  logger.info(`💚 Health check available at http://localhost:${port}/health`);
-});
+  // Stored images no history entry references are deleted once past IMAGE_RETENTION_SECONDS
+  if (imageStorage.enabled) {
+    const sweepImages = () => imageStorage.sweep(history.imageIds()).catch(error => {
+      logger.error(`Image retention sweep failed: ${error.message}`);
+    });
+    sweepImages();
+    setInterval(sweepImages, config.storage.sweepIntervalMs).unref();
+  }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    server.close(async () => {
+      await history.flush();
+      logger.info('Process terminated');
+      process.exit(0);
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    server.close(async () => {
+      await history.flush();
+      logger.info('Process terminated');
+      process.exit(0);
+    });
   });
-});
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
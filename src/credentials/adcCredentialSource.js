@@ -0,0 +1,22 @@
+const CredentialSource = require('./credentialSource');
+
+/**
+ * Application Default Credentials: google-auth-library discovers credentials
+ * from the environment, e.g. the metadata server under GKE workload identity
+ * or Cloud Run, or `gcloud auth application-default login` locally.
+ */
+class AdcCredentialSource extends CredentialSource {
+    constructor() {
+        super('adc');
+    }
+
+    load() {
+        return {
+            credentials: null,
+            projectId: null,
+            description: 'application default credentials (workload identity, metadata server or gcloud)'
+        };
+    }
+}
+
+module.exports = AdcCredentialSource;
@@ -0,0 +1,33 @@
+const CredentialSource = require('./credentialSource');
+const { ConfigurationError } = require('../utils/errors');
+const { parseCredentialsJson, validateCredentials, describeCredentials } = require('./validateCredentials');
+
+const ORIGIN = 'GOOGLE_APPLICATION_CREDENTIALS_BASE64';
+
+/**
+ * Base64-encoded credential JSON, which survives env var editors that mangle
+ * quotes and newlines
+ */
+class Base64CredentialSource extends CredentialSource {
+    constructor({ credentialsBase64 }) {
+        super('base64');
+        this.credentialsBase64 = credentialsBase64;
+    }
+
+    load() {
+        const encoded = this.credentialsBase64.trim();
+        if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(encoded)) {
+            throw new ConfigurationError(`${ORIGIN} is not valid base64`);
+        }
+
+        const json = Buffer.from(encoded, 'base64').toString('utf8');
+        const credentials = validateCredentials(parseCredentialsJson(json, ORIGIN), ORIGIN);
+        return {
+            credentials,
+            projectId: credentials.project_id || null,
+            description: describeCredentials(credentials, ORIGIN)
+        };
+    }
+}
+
+module.exports = Base64CredentialSource;
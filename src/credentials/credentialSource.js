@@ -0,0 +1,22 @@
+/**
+ * Base class for the places Google Cloud credentials can come from.
+ *
+ * load() resolves the credentials once at startup and returns them parsed,
+ * so they can be handed to GoogleAuth and VertexAI in memory without ever
+ * being written to disk.
+ */
+class CredentialSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * @returns {Object} { credentials, projectId, description }; credentials is
+     *   null when google-auth-library should discover them itself (ADC)
+     */
+    load() {
+        throw new Error(`${this.name} credential source does not implement load`);
+    }
+}
+
+module.exports = CredentialSource;
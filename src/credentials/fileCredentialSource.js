@@ -0,0 +1,33 @@
+const fs = require('fs');
+const CredentialSource = require('./credentialSource');
+const { ConfigurationError } = require('../utils/errors');
+const { parseCredentialsJson, validateCredentials, describeCredentials } = require('./validateCredentials');
+
+/**
+ * A key file already on disk (e.g. a mounted secret), read once and validated
+ */
+class FileCredentialSource extends CredentialSource {
+    constructor({ credentials: keyFile }) {
+        super('file');
+        this.keyFile = keyFile;
+    }
+
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.keyFile, 'utf8');
+        } catch (error) {
+            throw new ConfigurationError(`Cannot read credentials file ${this.keyFile}: ${error.code || error.message}`);
+        }
+
+        const origin = `file ${this.keyFile}`;
+        const credentials = validateCredentials(parseCredentialsJson(text, origin), origin);
+        return {
+            credentials,
+            projectId: credentials.project_id || null,
+            description: describeCredentials(credentials, origin)
+        };
+    }
+}
+
+module.exports = FileCredentialSource;
@@ -0,0 +1,52 @@
+const JsonCredentialSource = require('./jsonCredentialSource');
+const Base64CredentialSource = require('./base64CredentialSource');
+const FileCredentialSource = require('./fileCredentialSource');
+const AdcCredentialSource = require('./adcCredentialSource');
+const { ConfigurationError } = require('../utils/errors');
+
+const sources = {
+    json: JsonCredentialSource,
+    base64: Base64CredentialSource,
+    file: FileCredentialSource,
+    adc: AdcCredentialSource,
+};
+
+// Which config field each explicit source reads, for 'auto' detection and diagnostics
+const sourceSettings = {
+    json: ['credentialsJson', 'GOOGLE_APPLICATION_CREDENTIALS_JSON'],
+    base64: ['credentialsBase64', 'GOOGLE_APPLICATION_CREDENTIALS_BASE64'],
+    file: ['credentials', 'GOOGLE_APPLICATION_CREDENTIALS'],
+};
+
+/**
+ * Instantiates the credential source selected in config. 'auto' picks the
+ * first of json, base64 and file that is configured, falling back to adc.
+ * @param {Object} googleConfig - config.google
+ * @returns {CredentialSource} Credential source
+ */
+const createCredentialSource = (googleConfig) => {
+    let name = googleConfig.credentialsSource;
+
+    if (name === 'auto') {
+        name = Object.keys(sourceSettings).find(source => googleConfig[sourceSettings[source][0]]) || 'adc';
+    }
+
+    const Source = sources[name];
+    if (!Source) {
+        throw new ConfigurationError(
+            `Unknown credentials source: ${name}. Expected auto or one of: ${Object.keys(sources).join(', ')}`
+        );
+    }
+
+    const setting = sourceSettings[name];
+    if (setting && !googleConfig[setting[0]]) {
+        throw new ConfigurationError(`GOOGLE_CREDENTIALS_SOURCE is ${name} but ${setting[1]} is not set`);
+    }
+
+    return new Source(googleConfig);
+};
+
+module.exports = {
+    createCredentialSource,
+    credentialSourceNames: Object.keys(sources),
+};
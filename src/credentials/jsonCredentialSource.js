@@ -0,0 +1,25 @@
+const CredentialSource = require('./credentialSource');
+const { parseCredentialsJson, validateCredentials, describeCredentials } = require('./validateCredentials');
+
+const ORIGIN = 'GOOGLE_APPLICATION_CREDENTIALS_JSON';
+
+/**
+ * Credentials pasted into an env var as raw JSON
+ */
+class JsonCredentialSource extends CredentialSource {
+    constructor({ credentialsJson }) {
+        super('json');
+        this.credentialsJson = credentialsJson;
+    }
+
+    load() {
+        const credentials = validateCredentials(parseCredentialsJson(this.credentialsJson, ORIGIN), ORIGIN);
+        return {
+            credentials,
+            projectId: credentials.project_id || null,
+            description: describeCredentials(credentials, ORIGIN)
+        };
+    }
+}
+
+module.exports = JsonCredentialSource;
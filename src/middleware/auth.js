@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const apiKeys = require('../services/apiKeys');
+const config = require('../utils/config');
+const { logger } = require('../utils/logger');
+const { AuthenticationError, ServiceUnavailableError } = require('../utils/errors');
+
+const getBearerToken = (req) => {
+    const header = req.get('Authorization');
+    if (!header) {
+        return null;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : '';
+};
+
+/**
+ * Compares a bearer token with ADMIN_API_KEY in constant time
+ * @param {string} token - Bearer token
+ * @returns {boolean} True when admin endpoints are enabled and the token matches
+ */
+const isAdminToken = (token) => {
+    if (!config.auth.adminKey) {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(config.auth.adminKey).digest();
+    const actual = crypto.createHash('sha256').update(token || '').digest();
+
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Resolves the caller's identity onto req.identity.
+ * A valid API key gives the key's identity and quotas; callers without a key
+ * fall back to their IP address unless API_KEY_AUTH_MODE is 'required'.
+ * The ADMIN_API_KEY is accepted too, as the 'admin' identity.
+ */
+const authenticate = (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (token === null) {
+        if (config.auth.mode === 'required') {
+            return next(new AuthenticationError('An API key is required. Send it as "Authorization: Bearer <key>".', 'MISSING_API_KEY'));
+        }
+
+        req.identity = { id: req.ip || 'anonymous', type: 'ip', quotas: {} };
+        return next();
+    }
+
+    if (isAdminToken(token)) {
+        req.identity = { id: 'admin', type: 'admin', quotas: {} };
+        return next();
+    }
+
+    const record = apiKeys.authenticate(token);
+    if (!record) {
+        logger.warn(`Rejected invalid API key from ${req.ip}`);
+        return next(new AuthenticationError('The API key is invalid or has been revoked.', 'INVALID_API_KEY'));
+    }
+
+    req.identity = {
+        id: `key:${record.id}`,
+        type: 'api_key',
+        keyId: record.id,
+        name: record.name,
+        // Keys created before tenants existed have no tenant field
+        tenant: record.tenant || null,
+        quotas: record.quotas
+    };
+    next();
+};
+
+/**
+ * Guards per-caller data that must not be shared by everyone behind one IP
+ * address, such as a NAT or proxy: callers need an API key (or the admin key).
+ * Runs after authenticate.
+ */
+const requireApiKey = (req, res, next) => {
+    if (req.identity.type === 'ip') {
+        return next(new AuthenticationError('This endpoint needs an API key. Send it as "Authorization: Bearer <key>".', 'MISSING_API_KEY'));
+    }
+
+    next();
+};
+
+/**
+ * Guards admin routes with the ADMIN_API_KEY bearer token
+ */
+const requireAdmin = (req, res, next) => {
+    if (!config.auth.adminKey) {
+        return next(new ServiceUnavailableError('Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.', 'ADMIN_DISABLED'));
+    }
+
+    if (!isAdminToken(getBearerToken(req))) {
+        return next(new AuthenticationError('Admin credentials are required.', 'INVALID_ADMIN_KEY'));
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireApiKey,
+    requireAdmin,
+};
@@ -0,0 +1,85 @@
+const { logger } = require('../utils/logger');
+const { ApplicationError, ValidationError } = require('../utils/errors');
+const { setRateLimitHeaders } = require('./rateLimit');
+
+/**
+ * Forwards rejections from async route handlers to the error middleware
+ * @param {Function} handler - async (req, res, next) route handler
+ * @returns {Function} Express route handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/**
+ * Normalizes anything thrown in a route into an ApplicationError
+ * @param {Error} error - Thrown error
+ * @returns {ApplicationError} Typed error
+ */
+const toApplicationError = (error) => {
+    if (error instanceof ApplicationError) {
+        return error;
+    }
+
+    // body-parser failures carry a type and an HTTP status
+    if (error && error.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON', 'INVALID_JSON');
+    }
+    if (error && error.type === 'entity.too.large') {
+        return new ApplicationError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE');
+    }
+
+    return new ApplicationError('An unexpected error occurred');
+};
+
+/**
+ * Renders every error as the standard envelope:
+ * { success: false, error: { code, message, timestamp, details? } }
+ * Server-side errors (5xx) only expose their public message; the full
+ * error is logged.
+ */
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = toApplicationError(err);
+    const logDetails = {
+        code: error.code,
+        message: err.message,
+        url: req.url,
+        method: req.method,
+        ip: req.ip
+    };
+
+    if (error.statusCode >= 500) {
+        logger.error('Request failed:', { ...logDetails, stack: err.stack });
+    } else {
+        logger.warn('Request rejected:', logDetails);
+    }
+
+    if (error.rateLimit) {
+        setRateLimitHeaders(res, error.rateLimit, { rejected: true });
+    }
+
+    // Don't expose internal details in production
+    const isDevelopment = process.env.NODE_ENV !== 'production';
+    const exposeDetails = error.details && error.statusCode < 500;
+
+    res.status(error.statusCode).json({
+        success: false,
+        error: {
+            code: error.code,
+            message: error.publicMessage,
+            timestamp: new Date().toISOString(),
+            ...(exposeDetails && { details: error.details }),
+            ...(isDevelopment && error !== err && { debug: err.message })
+        }
+    });
+};
+
+module.exports = {
+    asyncHandler,
+    toApplicationError,
+    errorHandler,
+};
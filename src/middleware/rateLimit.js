@@ -0,0 +1,39 @@
+const validator = require('../services/validator');
+
+/**
+ * Sets the standard rate-limit headers (IETF draft RateLimit fields) for a window state
+ * @param {Object} res - Express response
+ * @param {Object} state - Window state from SlidingWindowLimiter.describe
+ * @param {Object} options - { rejected } adds Retry-After for denied requests
+ */
+const setRateLimitHeaders = (res, state, { rejected = false } = {}) => {
+    if (!state) return;
+
+    res.setHeader('RateLimit-Limit', state.limit);
+    res.setHeader('RateLimit-Remaining', state.remaining);
+    res.setHeader('RateLimit-Reset', Math.ceil(state.resetMs / 1000));
+    res.setHeader('RateLimit-Policy', `${state.limit};w=${Math.round(state.windowMs / 1000)}`);
+
+    if (rejected && state.retryAfterMs > 0) {
+        res.setHeader('Retry-After', Math.ceil(state.retryAfterMs / 1000));
+    }
+};
+
+/**
+ * Consumes quota for a request, reporting the tightest window in the response headers.
+ * A RateLimitError is rethrown; the error handler sets its headers.
+ * @param {Object} req - Express request with req.identity
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} State from validator.validateRateLimit, including the lease
+ */
+const applyRateLimit = async (req, res) => {
+    const state = await validator.validateRateLimit(req.identity.id, req.identity.quotas);
+    const tightest = state.daily && state.daily.remaining < state.hourly.remaining ? state.daily : state.hourly;
+    setRateLimitHeaders(res, tightest);
+    return state;
+};
+
+module.exports = {
+    setRateLimitHeaders,
+    applyRateLimit,
+};
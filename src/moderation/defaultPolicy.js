@@ -0,0 +1,87 @@
+/**
+ * Built-in moderation policy. Policy files layer over it: they can add or
+ * replace rules by id, disable rules and extend the allowlist.
+ *
+ * Terms match whole words, case-insensitively; a trailing * matches any word
+ * ending ("porn*" matches "pornography"). Patterns are regular expressions for
+ * combinations a term list can't express.
+ */
+const defaultPolicy = {
+    version: 1,
+    allowlist: [],
+    rules: [
+        {
+            id: 'minors-sexual-content',
+            description: 'Sexual content involving minors',
+            action: 'block',
+            severity: 'high',
+            // Only explicit sexual terms: pairing minors with broad words such as
+            // "exploitation" blocked prompts about child labour or online safety
+            patterns: [
+                '\\b(?:naked|nude|nudity|undressed|topless|sexual|sexually|sexualized|sexy|erotic|lingerie|porn\\w*)\\b.*\\b(?:child|children|kid|kids|minor|minors|underage)\\b',
+                '\\b(?:child|children|kid|kids|minor|minors|underage)\\b.*\\b(?:naked|nude|nudity|undressed|topless|sexual|sexually|sexualized|sexy|erotic|lingerie|porn\\w*)\\b'
+            ]
+        },
+        {
+            id: 'explicit-content',
+            description: 'Nudity or sexually explicit content',
+            action: 'block',
+            severity: 'high',
+            terms: ['nude', 'nudity', 'naked', 'porn*', 'sexually explicit', 'explicit content']
+        },
+        {
+            id: 'graphic-violence',
+            description: 'Graphic violence or gore',
+            action: 'block',
+            severity: 'high',
+            terms: ['violence', 'gore', 'gory']
+        },
+        {
+            id: 'hate-and-harassment',
+            description: 'Hateful, harassing or terrorist content',
+            action: 'block',
+            severity: 'high',
+            terms: ['hate', 'hateful', 'harassment', 'terrorism', 'terrorist']
+        },
+        {
+            id: 'security-abuse',
+            description: 'Hacking or exploiting systems',
+            action: 'block',
+            severity: 'medium',
+            terms: ['hack', 'hacking', 'exploit', 'exploits', 'vulnerability', 'vulnerabilities']
+        },
+        {
+            id: 'undressed',
+            description: 'States of undress',
+            action: 'rewrite',
+            severity: 'medium',
+            terms: ['undressed', 'unclothed'],
+            replacement: 'appropriately dressed'
+        },
+        {
+            id: 'age-related',
+            description: 'Mentions children or ages; generation may rewrite the prompt',
+            action: 'warn',
+            severity: 'medium',
+            patterns: [
+                '\\b(?:child|children|kid|kids|boy|girl|baby|babies|infant|toddler|teen|teenager)\\b',
+                '\\b(?:\\d+[\\s-]?(?:year|yr)[\\s-]?old|years?\\s+old)\\b',
+                '\\b(?:minor|juvenile|youth|young|little|small)\\s+(?:person|people|human|individual)\\b',
+                '\\b(?:school|student|pupil|kindergarten|preschool)\\b'
+            ]
+        },
+        {
+            id: 'risky-context',
+            description: 'Context that is often refused alongside people; generation may rewrite the prompt',
+            action: 'warn',
+            severity: 'medium',
+            patterns: [
+                '\\b(?:model|modeling|pose|posing|photoshoot)\\b',
+                '\\b(?:cute|adorable|sweet|innocent)\\s+(?:child|kid|boy|girl)\\b',
+                '\\b(?:drinking|eating|consuming)\\b.*\\b(?:milk|formula|bottle)\\b'
+            ]
+        }
+    ]
+};
+
+module.exports = defaultPolicy;
@@ -0,0 +1,28 @@
+const defaultPolicy = require('./defaultPolicy');
+const { ACTIONS, SEVERITIES, readPolicyFile, compilePolicyDefinition } = require('./policyDefinition');
+const { ModerationEngine, TENANT_PATTERN } = require('./moderationEngine');
+
+/**
+ * Creates the moderation engine described by config and loads its policies
+ * @param {Object} moderationConfig - config.moderation
+ * @returns {ModerationEngine} Loaded engine
+ */
+const createModerationEngine = (moderationConfig) => {
+    const engine = new ModerationEngine({
+        policyFile: moderationConfig.policyFile,
+        tenantPolicyDir: moderationConfig.tenantPolicyDir
+    });
+    engine.load();
+    return engine;
+};
+
+module.exports = {
+    defaultPolicy,
+    ACTIONS,
+    SEVERITIES,
+    TENANT_PATTERN,
+    readPolicyFile,
+    compilePolicyDefinition,
+    ModerationEngine,
+    createModerationEngine,
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { ConfigurationError } = require('../utils/errors');
+const defaultPolicy = require('./defaultPolicy');
+const { readPolicyFile, compileTerms, compilePolicyDefinition } = require('./policyDefinition');
+
+const POLICY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// Matched text reported back to callers is kept short; pattern rules can match a whole sentence
+const MAX_REPORTED_MATCH_LENGTH = 60;
+const MAX_REPORTED_MATCHES = 5;
+
+/**
+ * Applies rewrite replacements; of two overlapping matches the earlier one wins
+ * @param {string} text - Original text
+ * @param {Array} rewrites - [{ start, end, replacement }]
+ * @returns {string} Rewritten text
+ */
+const applyRewrites = (text, rewrites) => {
+    if (rewrites.length === 0) {
+        return text;
+    }
+
+    let result = '';
+    let position = 0;
+    for (const { start, end, replacement } of [...rewrites].sort((a, b) => a.start - b.start)) {
+        if (start < position) {
+            continue;
+        }
+        result += text.slice(position, start) + replacement;
+        position = end;
+    }
+    result += text.slice(position);
+
+    // Rules that remove a word shouldn't leave stray spacing behind
+    return result.replace(/\s{2,}/g, ' ').replace(/\s+([,.;:])/g, '$1').trim();
+};
+
+/**
+ * Evaluates text against moderation policies. The built-in policy is the base;
+ * an optional policy file layers over it, and tenant policy files layer over that.
+ */
+class ModerationEngine {
+    /**
+     * @param {Object} options
+     * @param {string} options.policyFile - Policy file applied to every caller, or empty for the built-in policy
+     * @param {string} options.tenantPolicyDir - Directory of <tenant>.json/.yaml files, or empty
+     */
+    constructor({ policyFile, tenantPolicyDir } = {}) {
+        this.policyFile = policyFile || null;
+        this.tenantPolicyDir = tenantPolicyDir || null;
+        this.basePolicy = null;
+        this.tenantPolicies = new Map();
+    }
+
+    /**
+     * Loads every policy; a bad policy throws so startup fails loudly
+     */
+    load() {
+        const builtin = compilePolicyDefinition(defaultPolicy, 'built-in policy');
+        let basePolicy = this.layer(null, builtin, 'built-in policy', 'default');
+        if (this.policyFile) {
+            basePolicy = this.layer(basePolicy, compilePolicyDefinition(readPolicyFile(this.policyFile), this.policyFile), this.policyFile, 'default');
+        }
+
+        const tenantPolicies = new Map();
+        for (const [tenant, file] of this.findTenantPolicyFiles()) {
+            tenantPolicies.set(tenant, this.layer(basePolicy, compilePolicyDefinition(readPolicyFile(file), file), file, tenant));
+        }
+
+        this.basePolicy = basePolicy;
+        this.tenantPolicies = tenantPolicies;
+        logger.info(`Moderation policy: ${basePolicy.rules.length} rule(s) (${this.policyFile || 'built-in'}), ` +
+            `${tenantPolicies.size} tenant polic${tenantPolicies.size === 1 ? 'y' : 'ies'}`);
+    }
+
+    /**
+     * @returns {Array} [tenant, file] pairs from the tenant policy directory
+     */
+    findTenantPolicyFiles() {
+        if (!this.tenantPolicyDir) {
+            return [];
+        }
+
+        let entries;
+        try {
+            entries = fs.readdirSync(this.tenantPolicyDir).sort();
+        } catch (error) {
+            throw new ConfigurationError(`Moderation policy directory ${this.tenantPolicyDir} could not be read: ${error.message}`);
+        }
+
+        const files = new Map();
+        for (const entry of entries) {
+            const extension = path.extname(entry).toLowerCase();
+            if (!POLICY_EXTENSIONS.includes(extension)) {
+                continue;
+            }
+
+            const tenant = path.basename(entry, path.extname(entry));
+            if (!TENANT_PATTERN.test(tenant)) {
+                throw new ConfigurationError(`Moderation policy file ${entry} must be named after a tenant: lowercase letters, digits, _ or -`);
+            }
+            if (files.has(tenant)) {
+                throw new ConfigurationError(`Moderation policy directory has more than one file for tenant ${tenant}`);
+            }
+            files.set(tenant, path.join(this.tenantPolicyDir, entry));
+        }
+
+        return [...files];
+    }
+
+    /**
+     * Layers a compiled definition over a policy
+     * @param {Object|null} base - Policy to extend, or null
+     * @param {Object} definition - Output of compilePolicyDefinition
+     * @param {string} origin - Where the definition came from, for diagnostics
+     * @param {string} name - Policy name reported with results
+     * @returns {Object} { name, rules, allowlist, allowlistMatcher }
+     */
+    layer(base, definition, origin, name) {
+        const inherited = base && definition.extends;
+        const rules = new Map(inherited ? base.rules.map(rule => [rule.id, rule]) : []);
+
+        const unknown = definition.disabledRules.filter(id => !rules.has(id));
+        if (unknown.length > 0) {
+            throw new ConfigurationError(`Moderation policy from ${origin} is invalid: disabledRules names unknown rules: ${unknown.join(', ')}`);
+        }
+        for (const id of definition.disabledRules) {
+            rules.delete(id);
+        }
+        for (const rule of definition.rules) {
+            rules.set(rule.id, rule);
+        }
+
+        const allowlist = [...(inherited ? base.allowlist : []), ...definition.allowlist];
+        return {
+            name,
+            rules: [...rules.values()],
+            allowlist,
+            allowlistMatcher: allowlist.length > 0 ? compileTerms(allowlist) : null
+        };
+    }
+
+    /**
+     * @param {string} tenant - Tenant from the caller's API key, if any
+     * @returns {Object} The tenant's policy, or the base policy
+     */
+    getPolicy(tenant) {
+        return (tenant && this.tenantPolicies.get(tenant)) || this.basePolicy;
+    }
+
+    /**
+     * Evaluates text against the caller's policy
+     * @param {string} text - Prompt to check
+     * @param {Object} context - { tenant }
+     * @returns {Object} { policy, blocked, rewritten, prompt, matchedRules }
+     */
+    evaluate(text, { tenant } = {}) {
+        const policy = this.getPolicy(tenant);
+
+        // Allowlisted phrases are blanked out, keeping offsets, so no rule matches inside them
+        const checked = policy.allowlistMatcher
+            ? text.replace(policy.allowlistMatcher, match => ' '.repeat(match.length))
+            : text;
+
+        const matchedRules = [];
+        const rewrites = [];
+        for (const rule of policy.rules) {
+            const spans = [];
+            for (const matcher of rule.matchers) {
+                for (const match of checked.matchAll(matcher)) {
+                    if (match[0]) {
+                        spans.push({ start: match.index, end: match.index + match[0].length });
+                    }
+                }
+            }
+            if (spans.length === 0) {
+                continue;
+            }
+
+            const matches = [...new Set(spans.map(span => text.slice(span.start, span.end).slice(0, MAX_REPORTED_MATCH_LENGTH)))];
+            matchedRules.push({
+                rule: rule.id,
+                description: rule.description,
+                action: rule.action,
+                severity: rule.severity,
+                matches: matches.slice(0, MAX_REPORTED_MATCHES)
+            });
+
+            if (rule.action === 'rewrite') {
+                rewrites.push(...spans.map(span => ({ ...span, replacement: rule.replacement })));
+            }
+        }
+
+        const blocked = matchedRules.some(match => match.action === 'block');
+        const prompt = blocked ? text : applyRewrites(text, rewrites);
+
+        return {
+            policy: policy.name,
+            blocked,
+            rewritten: prompt !== text,
+            prompt,
+            matchedRules
+        };
+    }
+
+    getStatus() {
+        return {
+            policyFile: this.policyFile,
+            tenantPolicyDir: this.tenantPolicyDir,
+            rules: this.basePolicy ? this.basePolicy.rules.length : 0,
+            tenants: [...this.tenantPolicies.keys()]
+        };
+    }
+}
+
+module.exports = { ModerationEngine, TENANT_PATTERN };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('../utils/errors');
+
+const SUPPORTED_VERSIONS = [1];
+const ACTIONS = ['block', 'rewrite', 'warn'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const TOP_LEVEL_KEYS = ['version', 'extends', 'allowlist', 'disabledRules', 'rules'];
+const RULE_KEYS = ['id', 'description', 'action', 'severity', 'terms', 'patterns', 'replacement'];
+const RULE_ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+// Letters and digits in any script; a term only matches where it isn't touching one
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+
+/**
+ * Reads a policy file; .yaml/.yml files are parsed as YAML, anything else as JSON
+ * @param {string} filePath - Policy file
+ * @returns {Object} Parsed definition
+ */
+const readPolicyFile = (filePath) => {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigurationError(`Moderation policy file ${filePath} could not be read: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            const yaml = require('js-yaml');
+            return yaml.load(text, { schema: yaml.JSON_SCHEMA });
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ConfigurationError(`Moderation policy file ${filePath} could not be parsed: ${error.message}`);
+    }
+};
+
+/**
+ * Builds one regular expression matching any of the terms as whole words.
+ * Runs of whitespace in a term match any whitespace; a trailing * matches the rest of the word.
+ * @param {Array} terms - Terms or phrases
+ * @returns {RegExp} Global, case-insensitive expression
+ */
+const compileTerms = (terms) => {
+    const alternatives = terms.map(term => {
+        const wildcard = term.trim().endsWith('*');
+        const body = term.trim().replace(/\*$/, '').trim()
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\s+/g, '\\s+');
+        return wildcard ? `${body}${WORD_CHARACTER}*` : body;
+    });
+
+    return new RegExp(`(?<!${WORD_CHARACTER})(?:${alternatives.join('|')})(?!${WORD_CHARACTER})`, 'giu');
+};
+
+/**
+ * Checks a list of terms or patterns
+ * @param {*} list - Value from the definition
+ * @param {string} where - Location for messages
+ * @param {Array} problems - Collected problems
+ * @returns {boolean} Whether the list is usable
+ */
+const checkStringList = (list, where, problems) => {
+    if (!Array.isArray(list) || list.length === 0 ||
+        list.some(item => typeof item !== 'string' || !item.replace(/\*$/, '').trim())) {
+        problems.push(`${where} must be a non-empty array of strings`);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Checks a rule and compiles its matchers
+ * @param {Object} rule - Rule from the definition
+ * @param {string} where - Location for messages
+ * @param {Array} problems - Collected problems
+ * @returns {Object|null} Compiled rule, or null if it has problems
+ */
+const compileRule = (rule, where, problems) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        problems.push(`${where} must be an object`);
+        return null;
+    }
+
+    const problemCount = problems.length;
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        problems.push(`${where} has unknown keys: ${unknown.join(', ')}`);
+    }
+    if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+        problems.push(`${where}.id must be lowercase letters, digits, _ or -, starting with a letter`);
+    }
+    if (rule.description !== undefined && typeof rule.description !== 'string') {
+        problems.push(`${where}.description must be a string`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+        problems.push(`${where}.action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        problems.push(`${where}.severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.replacement !== undefined && (rule.action !== 'rewrite' || typeof rule.replacement !== 'string')) {
+        problems.push(`${where}.replacement must be a string on a rewrite rule`);
+    }
+
+    const matchers = [];
+    if (rule.terms === undefined && rule.patterns === undefined) {
+        problems.push(`${where} must set terms, patterns or both`);
+    }
+    if (rule.terms !== undefined && checkStringList(rule.terms, `${where}.terms`, problems)) {
+        matchers.push(compileTerms(rule.terms));
+    }
+    if (rule.patterns !== undefined && checkStringList(rule.patterns, `${where}.patterns`, problems)) {
+        rule.patterns.forEach((pattern, index) => {
+            try {
+                matchers.push(new RegExp(pattern, 'gi'));
+            } catch (error) {
+                problems.push(`${where}.patterns[${index}] is not a valid regular expression: ${error.message}`);
+            }
+        });
+    }
+
+    if (problems.length > problemCount) {
+        return null;
+    }
+
+    return {
+        id: rule.id,
+        description: rule.description || rule.id,
+        action: rule.action,
+        severity: rule.severity,
+        replacement: rule.replacement || '',
+        matchers
+    };
+};
+
+/**
+ * Validates a policy definition and reports every problem at once
+ * @param {Object} definition - Parsed policy file
+ * @param {string} origin - Where it came from, for diagnostics
+ * @returns {Object} { extends, allowlist, disabledRules, rules }
+ */
+const compilePolicyDefinition = (definition, origin) => {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new ConfigurationError(`Moderation policy from ${origin} must be an object`);
+    }
+
+    const problems = [];
+    const unknown = Object.keys(definition).filter(key => !TOP_LEVEL_KEYS.includes(key));
+    if (unknown.length > 0) {
+        problems.push(`policy has unknown keys: ${unknown.join(', ')}`);
+    }
+    if (!SUPPORTED_VERSIONS.includes(definition.version)) {
+        problems.push(`version must be one of: ${SUPPORTED_VERSIONS.join(', ')}`);
+    }
+    if (definition.extends !== undefined && typeof definition.extends !== 'boolean') {
+        problems.push('extends must be true or false');
+    }
+
+    const { allowlist = [], disabledRules = [], rules = [] } = definition;
+    if (!Array.isArray(allowlist) || allowlist.some(term => typeof term !== 'string' || !term.trim())) {
+        problems.push('allowlist must be an array of strings');
+    }
+    if (!Array.isArray(disabledRules) || disabledRules.some(id => typeof id !== 'string')) {
+        problems.push('disabledRules must be an array of rule ids');
+    }
+
+    const compiled = [];
+    if (!Array.isArray(rules)) {
+        problems.push('rules must be an array');
+    } else {
+        const seen = new Set();
+        rules.forEach((rule, index) => {
+            const where = `rules[${index}]`;
+            const result = compileRule(rule, where, problems);
+            if (!result) {
+                return;
+            }
+            if (seen.has(result.id)) {
+                problems.push(`${where}.id "${result.id}" is used by an earlier rule`);
+                return;
+            }
+            seen.add(result.id);
+            compiled.push(result);
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigurationError(`Moderation policy from ${origin} is invalid: ${problems.join('; ')}`);
+    }
+
+    return {
+        extends: definition.extends !== false,
+        allowlist: allowlist.map(term => term.trim()),
+        disabledRules,
+        rules: compiled
+    };
+};
+
+module.exports = {
+    ACTIONS,
+    SEVERITIES,
+    readPolicyFile,
+    compileTerms,
+    compilePolicyDefinition,
+};
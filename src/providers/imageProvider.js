@@ -0,0 +1,34 @@
+/**
+ * Base class for image generation backends.
+ *
+ * Providers accept an Imagen-style predict request body
+ * (`{ instances: [{ prompt }], parameters }`) and resolve with an
+ * Imagen-style response (`{ predictions: [{ bytesBase64Encoded, mimeType }] }`),
+ * so GeminiService can parse results the same way regardless of backend.
+ */
+class ImageProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Verifies the provider can serve requests
+     * @returns {Promise<boolean>} True when ready
+     */
+    async testAuth() {
+        return true;
+    }
+
+    /**
+     * Runs a predict call against the given model
+     * @param {string} modelName - Image model identifier
+     * @param {Object} requestBody - Imagen predict request body
+     * @param {Object} options - { signal } aborts the call; providers reject promptly once it fires
+     * @returns {Promise<Object>} Parsed predict response
+     */
+    async predict(modelName, requestBody, options = {}) {
+        throw new Error(`${this.name} provider does not implement predict`);
+    }
+}
+
+module.exports = ImageProvider;
@@ -0,0 +1,26 @@
+const VertexImagenProvider = require('./vertexImagenProvider');
+const MockImageProvider = require('./mockImageProvider');
+
+const providers = {
+    vertex: VertexImagenProvider,
+    mock: MockImageProvider,
+};
+
+/**
+ * Instantiates the image provider selected in config
+ * @param {string} name - Provider name (vertex | mock)
+ * @param {Object} options - Provider constructor options
+ * @returns {ImageProvider} Provider instance
+ */
+const createImageProvider = (name, options = {}) => {
+    const Provider = providers[name];
+    if (!Provider) {
+        throw new Error(`Unknown image provider: ${name}. Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return new Provider(options);
+};
+
+module.exports = {
+    createImageProvider,
+    providerNames: Object.keys(providers),
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ImageProvider = require('./imageProvider');
+const { encodeRgbPng } = require('../utils/png');
+const { logger } = require('../utils/logger');
+const { UpstreamServiceError } = require('../utils/errors');
+const { sleep } = require('../resilience/retry');
+
+// Base edge length for generated placeholders; the other edge follows the aspect ratio
+const BASE_SIZE = 256;
+const GRID_CELLS = 8;
+
+/**
+ * Offline provider that renders a deterministic placeholder PNG per prompt.
+ * The same prompt, model, seed and variant index always yield the same bytes.
+ * Edit requests get the placeholder painted inside the mask of the input image.
+ */
+class MockImageProvider extends ImageProvider {
+    constructor({ latencyMs = 0, failModels = [] } = {}) {
+        super('mock');
+        this.latencyMs = latencyMs;
+        // Models listed here answer with a retryable 503, for exercising retries and circuit breakers
+        this.failModels = new Set(failModels);
+    }
+
+    async predict(modelName, requestBody, { signal } = {}) {
+        const { prompt, referenceImages } = requestBody.instances[0];
+        const parameters = requestBody.parameters || {};
+        const sampleCount = parameters.sampleCount || 1;
+        const { width, height } = this.getDimensions(parameters.aspectRatio);
+
+        logger.info(`Mock provider rendering ${sampleCount} placeholder(s) for ${modelName}`);
+
+        if (this.latencyMs > 0) {
+            await sleep(this.latencyMs, signal);
+        }
+
+        if (this.failModels.has(modelName)) {
+            throw new UpstreamServiceError(`${modelName} API error: 503 - Mock provider failure`, {
+                code: 'UPSTREAM_UNAVAILABLE',
+                retryable: true,
+                details: { model: modelName }
+            });
+        }
+
+        const predictions = [];
+        for (let index = 0; index < sampleCount; index++) {
+            const digest = crypto.createHash('sha256')
+                .update(`${modelName}|${parameters.seed ?? ''}|${index}|${prompt}`)
+                .digest();
+
+            const image = referenceImages
+                ? await this.renderEdit(digest, referenceImages)
+                : this.renderPlaceholder(digest, width, height);
+            predictions.push({
+                bytesBase64Encoded: image.toString('base64'),
+                mimeType: 'image/png'
+            });
+        }
+
+        return { predictions };
+    }
+
+    getDimensions(aspectRatio = '1:1') {
+        const [w, h] = aspectRatio.split(':').map(Number);
+        if (!w || !h) {
+            return { width: BASE_SIZE, height: BASE_SIZE };
+        }
+        return w >= h
+            ? { width: Math.round(BASE_SIZE * w / h), height: BASE_SIZE }
+            : { width: BASE_SIZE, height: Math.round(BASE_SIZE * h / w) };
+    }
+
+    /**
+     * Paints a placeholder over the masked part of the edited image. Automatic
+     * masks stand in for the model's segmentation: the center half of the
+     * image is the foreground, the rest the background.
+     */
+    async renderEdit(digest, referenceImages) {
+        const raw = referenceImages.find(reference => reference.referenceType === 'REFERENCE_TYPE_RAW');
+        const maskReference = referenceImages.find(reference => reference.referenceType === 'REFERENCE_TYPE_MASK');
+        const base = Buffer.from(raw.referenceImage.bytesBase64Encoded, 'base64');
+        const { width, height } = await sharp(base).metadata();
+
+        let mask;
+        if (maskReference.referenceImage) {
+            mask = await sharp(Buffer.from(maskReference.referenceImage.bytesBase64Encoded, 'base64'))
+                .resize(width, height, { fit: 'fill' })
+                .extractChannel(0)
+                .raw()
+                .toBuffer();
+        } else {
+            const foreground = maskReference.maskImageConfig.maskMode === 'MASK_MODE_FOREGROUND';
+            mask = Buffer.alloc(width * height, foreground ? 0 : 255);
+            for (let y = Math.floor(height / 4); y < Math.ceil(height * 3 / 4); y++) {
+                mask.fill(foreground ? 255 : 0, y * width + Math.floor(width / 4), y * width + Math.ceil(width * 3 / 4));
+            }
+        }
+
+        const overlay = await sharp(this.renderPlaceholder(digest, width, height))
+            .joinChannel(mask, { raw: { width, height, channels: 1 } })
+            .png()
+            .toBuffer();
+        return sharp(base).composite([{ input: overlay }]).png().toBuffer();
+    }
+
+    /**
+     * Paints a diagonal gradient between two hash-derived colours with a
+     * hash-derived checker pattern on top
+     */
+    renderPlaceholder(digest, width, height) {
+        const from = [digest[0], digest[1], digest[2]];
+        const to = [digest[3], digest[4], digest[5]];
+        const pixels = Buffer.alloc(width * height * 3);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const t = (x / width + y / height) / 2;
+                const cellX = Math.floor(x * GRID_CELLS / width);
+                const cellY = Math.floor(y * GRID_CELLS / height);
+                const cellBit = (digest[6 + ((cellY * GRID_CELLS + cellX) >> 3)] >> (cellX % 8)) & 1;
+                const shade = cellBit ? 0.85 : 1;
+                const offset = (y * width + x) * 3;
+
+                for (let c = 0; c < 3; c++) {
+                    pixels[offset + c] = Math.round((from[c] + (to[c] - from[c]) * t) * shade);
+                }
+            }
+        }
+
+        return encodeRgbPng(width, height, pixels);
+    }
+}
+
+module.exports = MockImageProvider;
@@ -0,0 +1,77 @@
+const fetch = require('node-fetch');
+const ImageProvider = require('./imageProvider');
+const { logger } = require('../utils/logger');
+const { UpstreamServiceError, CancelledError } = require('../utils/errors');
+const { toVertexError } = require('../utils/vertexErrors');
+
+class VertexImagenProvider extends ImageProvider {
+    constructor({ tokenManager, projectId, location }) {
+        super('vertex');
+        this.tokenManager = tokenManager;
+        this.projectId = projectId;
+        this.location = location;
+    }
+
+    async testAuth() {
+        await this.tokenManager.getToken();
+        return true;
+    }
+
+    getPredictUrl(modelName) {
+        return `https://${this.location}-aiplatform.googleapis.com/v1/projects/${this.projectId}/locations/${this.location}/publishers/google/models/${modelName}:predict`;
+    }
+
+    async predict(modelName, requestBody, { signal } = {}) {
+        const accessToken = await this.tokenManager.getToken();
+        const url = this.getPredictUrl(modelName);
+
+        logger.info(`Making request to ${modelName}:`, url);
+        logger.info('Request parameters:', requestBody.parameters);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new CancelledError(`${modelName} request aborted`);
+            }
+            // Connection resets, DNS failures and the like are worth retrying
+            throw new UpstreamServiceError(`${modelName} request failed: ${error.message}`, {
+                code: 'UPSTREAM_UNAVAILABLE',
+                retryable: true,
+                details: { model: modelName }
+            });
+        }
+
+        const responseText = await response.text();
+        logger.info(`${modelName} response status: ${response.status}`);
+
+        if (!response.ok) {
+            logger.error(`${modelName} error response:`, responseText);
+            if (response.status === 401) {
+                // The cached token was rejected; the next call fetches a fresh one
+                this.tokenManager.invalidate();
+            }
+            throw toVertexError(response.status, responseText, modelName, response.headers.get('retry-after'));
+        }
+
+        try {
+            return JSON.parse(responseText);
+        } catch (parseError) {
+            throw new UpstreamServiceError('Invalid response format from image generation API', {
+                code: 'UPSTREAM_INVALID_RESPONSE',
+                details: { model: modelName }
+            });
+        }
+    }
+}
+
+module.exports = VertexImagenProvider;
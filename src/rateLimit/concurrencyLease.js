@@ -0,0 +1,45 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * A held concurrency slot. Releasing is idempotent, so every exit path of a
+ * request (success, error, client disconnect, timeout) can release without
+ * double-counting. A lease that is never released frees itself after
+ * timeoutMs so a stuck request can't hold a slot forever.
+ */
+class ConcurrencyLease {
+    constructor(limiter, id, { timeoutMs }) {
+        this.limiter = limiter;
+        this.id = id;
+        this.released = false;
+        this.acquiredAt = Date.now();
+
+        this.timer = setTimeout(() => {
+            logger.warn(`Concurrency lease for ${id} held for ${timeoutMs}ms; releasing`);
+            this.release();
+        }, timeoutMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Returns the slot to the pool
+     * @returns {Promise<boolean>} True if this call released it, false if it was already released
+     */
+    async release() {
+        if (this.released) {
+            return false;
+        }
+
+        this.released = true;
+        clearTimeout(this.timer);
+
+        try {
+            await this.limiter.release(this.id);
+        } catch (error) {
+            logger.warn(`Failed to release concurrency slot for ${this.id}:`, error.message);
+        }
+
+        return true;
+    }
+}
+
+module.exports = ConcurrencyLease;
@@ -0,0 +1,29 @@
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+const SlidingWindowLimiter = require('./slidingWindowLimiter');
+const ConcurrencyLease = require('./concurrencyLease');
+
+const stores = {
+    memory: MemoryStore,
+    redis: RedisStore,
+};
+
+/**
+ * Instantiates the rate-limit store selected in config
+ * @param {string} name - Store name (memory | redis)
+ * @param {Object} options - Store constructor options
+ * @returns {RateLimitStore} Store instance
+ */
+const createRateLimitStore = (name, options = {}) => {
+    const Store = stores[name];
+    if (!Store) {
+        throw new Error(`Unknown rate limit store: ${name}. Expected one of: ${Object.keys(stores).join(', ')}`);
+    }
+    return new Store(options);
+};
+
+module.exports = {
+    createRateLimitStore,
+    SlidingWindowLimiter,
+    ConcurrencyLease,
+};
@@ -0,0 +1,57 @@
+const RateLimitStore = require('./rateLimitStore');
+
+/**
+ * Single-process store. Expired counters are pruned periodically so memory
+ * stays bounded by the number of recently active callers.
+ */
+class MemoryStore extends RateLimitStore {
+    constructor({ pruneIntervalMs = 60000 } = {}) {
+        super('memory');
+        this.counters = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    read(key, now) {
+        const entry = this.counters.get(key);
+        if (!entry || entry.expiresAt <= now) {
+            return null;
+        }
+        return entry;
+    }
+
+    async increment(key, amount, ttlMs) {
+        const now = Date.now();
+        const entry = this.read(key, now) || { value: 0 };
+
+        entry.value += amount;
+        entry.expiresAt = now + ttlMs;
+        this.counters.set(key, entry);
+
+        return entry.value;
+    }
+
+    async getMany(keys) {
+        const now = Date.now();
+        return keys.map(key => {
+            const entry = this.read(key, now);
+            return entry ? entry.value : 0;
+        });
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.counters) {
+            if (entry.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    async close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,35 @@
+/**
+ * Base class for rate-limit counter storage.
+ *
+ * Stores hold integer counters with an expiry. All operations are async so
+ * networked stores can share counters across instances.
+ */
+class RateLimitStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Adds to a counter, creating it with the given TTL if missing
+     * @param {string} key - Counter key
+     * @param {number} amount - Amount to add (may be negative)
+     * @param {number} ttlMs - Expiry applied to the counter
+     * @returns {Promise<number>} The new value
+     */
+    async increment(key, amount, ttlMs) {
+        throw new Error(`${this.name} store does not implement increment`);
+    }
+
+    /**
+     * Reads several counters at once
+     * @param {Array<string>} keys - Counter keys
+     * @returns {Promise<Array<number>>} Values, 0 for missing counters
+     */
+    async getMany(keys) {
+        throw new Error(`${this.name} store does not implement getMany`);
+    }
+
+    async close() {}
+}
+
+module.exports = RateLimitStore;
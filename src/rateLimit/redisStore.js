@@ -0,0 +1,58 @@
+const RateLimitStore = require('./rateLimitStore');
+const { logger } = require('../utils/logger');
+
+/**
+ * Store for anything that speaks the Redis protocol (Redis, Valkey, KeyDB,
+ * or a local stand-in), so limits are shared across instances and survive deploys.
+ */
+class RedisStore extends RateLimitStore {
+    constructor({ url, keyPrefix = 'imggen:rl:', client } = {}) {
+        super('redis');
+        this.keyPrefix = keyPrefix;
+
+        if (client) {
+            this.client = client;
+        } else {
+            // Required lazily so memory-only deployments don't need the package loaded
+            const Redis = require('ioredis');
+            this.client = new Redis(url, {
+                maxRetriesPerRequest: 2,
+                enableOfflineQueue: false
+            });
+        }
+
+        this.client.on('error', (error) => {
+            logger.error(`Rate limit store connection error: ${error.message}`);
+        });
+    }
+
+    async increment(key, amount, ttlMs) {
+        const prefixedKey = this.keyPrefix + key;
+        const results = await this.client
+            .multi()
+            .incrby(prefixedKey, amount)
+            .pexpire(prefixedKey, ttlMs)
+            .exec();
+
+        const [error, value] = results[0];
+        if (error) {
+            throw error;
+        }
+        return Number(value);
+    }
+
+    async getMany(keys) {
+        if (keys.length === 0) {
+            return [];
+        }
+
+        const values = await this.client.mget(keys.map(key => this.keyPrefix + key));
+        return values.map(value => Number(value) || 0);
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+module.exports = RedisStore;
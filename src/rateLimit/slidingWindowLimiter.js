@@ -0,0 +1,127 @@
+/**
+ * Sliding-window counter limiter.
+ *
+ * Each window keeps a counter for the current and previous fixed interval;
+ * the previous interval's count is weighted by how much of it still overlaps
+ * the sliding window. This approximates a true sliding log with two counters
+ * per caller, so it works on any store with increment/get.
+ */
+class SlidingWindowLimiter {
+    constructor(store, { concurrencyTtlMs }) {
+        this.store = store;
+        this.concurrencyTtlMs = concurrencyTtlMs;
+    }
+
+    windowKeys(id, windowMs, now) {
+        const index = Math.floor(now / windowMs);
+        return {
+            current: `${id}:${windowMs}:${index}`,
+            previous: `${id}:${windowMs}:${index - 1}`,
+            elapsed: now - index * windowMs
+        };
+    }
+
+    /**
+     * Describes a window's budget from its two counters
+     */
+    describe(limit, windowMs, previous, current, elapsed) {
+        const weight = (windowMs - elapsed) / windowMs;
+        const used = Math.floor(previous * weight) + current;
+        const untilWindowEnd = windowMs - elapsed;
+
+        // Time until the weighted previous count decays enough to free a slot
+        let retryAfterMs = 0;
+        if (used >= limit) {
+            retryAfterMs = previous > 0 && current < limit
+                ? Math.max(0, Math.ceil(untilWindowEnd - (limit - current) * windowMs / previous))
+                : untilWindowEnd;
+        }
+
+        return {
+            limit,
+            used: Math.min(used, limit),
+            remaining: Math.max(0, limit - used),
+            windowMs,
+            resetMs: untilWindowEnd,
+            retryAfterMs
+        };
+    }
+
+    /**
+     * Records a request if it fits within the window
+     * @param {string} id - Caller identity
+     * @param {number} windowMs - Window length
+     * @param {number} limit - Requests allowed per window
+     * @returns {Promise<Object>} { allowed, key, limit, used, remaining, windowMs, resetMs, retryAfterMs } -
+     *   key is the counter that was incremented; pass the result to undo to revert it
+     */
+    async hit(id, windowMs, limit) {
+        const now = Date.now();
+        const keys = this.windowKeys(id, windowMs, now);
+
+        // Increment first and roll back on denial so concurrent instances can't both squeeze in
+        const current = await this.store.increment(keys.current, 1, windowMs * 2);
+        const [previous] = await this.store.getMany([keys.previous]);
+        const weight = (windowMs - keys.elapsed) / windowMs;
+
+        if (Math.floor(previous * weight) + current > limit) {
+            await this.store.increment(keys.current, -1, windowMs * 2);
+            return { allowed: false, key: keys.current, ...this.describe(limit, windowMs, previous, current - 1, keys.elapsed) };
+        }
+
+        return { allowed: true, key: keys.current, ...this.describe(limit, windowMs, previous, current, keys.elapsed) };
+    }
+
+    /**
+     * Reverts an allowed hit. The counter comes from the hit itself, so a rollback
+     * that runs after the interval has rolled over still decrements the right one.
+     * @param {Object} hit - Result of hit
+     */
+    async undo(hit) {
+        await this.store.increment(hit.key, -1, hit.windowMs * 2);
+    }
+
+    /**
+     * Reads a window's budget without recording a request
+     */
+    async peek(id, windowMs, limit) {
+        const now = Date.now();
+        const keys = this.windowKeys(id, windowMs, now);
+        const [current, previous] = await this.store.getMany([keys.current, keys.previous]);
+        return this.describe(limit, windowMs, previous, current, keys.elapsed);
+    }
+
+    /**
+     * Takes a concurrency slot. The counter carries a TTL so slots held by a
+     * crashed instance are eventually released.
+     * @returns {Promise<Object>} { allowed, limit, active }
+     */
+    async acquire(id, limit) {
+        const key = `${id}:concurrent`;
+        const active = await this.store.increment(key, 1, this.concurrencyTtlMs);
+
+        if (active > limit) {
+            await this.store.increment(key, -1, this.concurrencyTtlMs);
+            return { allowed: false, limit, active: active - 1 };
+        }
+
+        return { allowed: true, limit, active };
+    }
+
+    async release(id) {
+        const key = `${id}:concurrent`;
+        const active = await this.store.increment(key, -1, this.concurrencyTtlMs);
+
+        // Never let a stray release leave the counter negative
+        if (active < 0) {
+            await this.store.increment(key, -active, this.concurrencyTtlMs);
+        }
+    }
+
+    async activeCount(id) {
+        const [active] = await this.store.getMany([`${id}:concurrent`]);
+        return Math.max(0, active);
+    }
+}
+
+module.exports = SlidingWindowLimiter;
@@ -0,0 +1,139 @@
+const { logger } = require('../utils/logger');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+};
+
+/**
+ * Per-model circuit breaker. After failureThreshold consecutive upstream
+ * failures the model is skipped for cooldownMs; then a single probe request
+ * is let through, closing the breaker on success or reopening it on failure.
+ */
+class CircuitBreaker {
+    constructor(name, { failureThreshold, cooldownMs }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+        this.lastFailure = null;
+    }
+
+    /**
+     * Whether a request may be sent now. Moves an expired open breaker to half-open
+     * and reserves its single probe.
+     * @returns {boolean} True if the request may proceed
+     */
+    allowRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+            logger.info(`Circuit for ${this.name} half-open; sending a probe request`);
+        }
+
+        if (this.state === STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== STATES.CLOSED) {
+            logger.info(`Circuit for ${this.name} closed`);
+        }
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * @param {Error} error - The upstream failure
+     */
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.probeInFlight = false;
+        this.lastFailure = {
+            code: error.code || null,
+            message: error.message,
+            at: new Date().toISOString()
+        };
+
+        if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== STATES.OPEN) {
+                logger.warn(`Circuit for ${this.name} opened after ${this.consecutiveFailures} consecutive failure(s)`);
+            }
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Releases a probe whose outcome says nothing about the model's health
+     * (e.g. the request was cancelled or rejected for our own credentials)
+     */
+    recordNeutral() {
+        this.probeInFlight = false;
+    }
+
+    /**
+     * @returns {number|null} Milliseconds until an open breaker lets a probe through
+     */
+    retryInMs() {
+        if (this.state !== STATES.OPEN) {
+            return null;
+        }
+        return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryInMs: this.retryInMs(),
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+/**
+ * Lazily creates one breaker per name with shared settings
+ */
+class CircuitBreakerRegistry {
+    constructor(options) {
+        this.options = options;
+        this.breakers = new Map();
+    }
+
+    get(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, this.options));
+        }
+        return this.breakers.get(name);
+    }
+
+    snapshot() {
+        const result = {};
+        for (const [name, breaker] of this.breakers) {
+            result[name] = breaker.snapshot();
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    STATES,
+    CircuitBreaker,
+    CircuitBreakerRegistry,
+};
@@ -0,0 +1,42 @@
+const {
+    ContentPolicyError,
+    QuotaExceededError,
+    UpstreamServiceError,
+    CancelledError,
+} = require('../utils/errors');
+
+const ERROR_CLASSES = {
+    RETRYABLE: 'retryable',
+    POLICY: 'policy',
+    TERMINAL: 'terminal',
+};
+
+/**
+ * Sorts a generation failure into how the caller should react:
+ * - retryable: transient (429, 5xx, network); retry the same model after a delay
+ * - policy: the prompt was blocked; retrying is pointless but another prompt may work
+ * - terminal: credentials, permissions, rejected requests or cancellation; give up
+ * @param {Error} error - Error from a model call
+ * @returns {string} One of ERROR_CLASSES
+ */
+const classifyError = (error) => {
+    if (error instanceof CancelledError) {
+        return ERROR_CLASSES.TERMINAL;
+    }
+
+    if (error instanceof ContentPolicyError) {
+        return ERROR_CLASSES.POLICY;
+    }
+
+    if (error instanceof QuotaExceededError ||
+        (error instanceof UpstreamServiceError && error.retryable)) {
+        return ERROR_CLASSES.RETRYABLE;
+    }
+
+    return ERROR_CLASSES.TERMINAL;
+};
+
+module.exports = {
+    ERROR_CLASSES,
+    classifyError,
+};
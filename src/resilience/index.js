@@ -0,0 +1,14 @@
+const { ERROR_CLASSES, classifyError } = require('./classifyError');
+const { computeBackoff, sleep, withAttemptTimeout, withRetry } = require('./retry');
+const { CircuitBreaker, CircuitBreakerRegistry } = require('./circuitBreaker');
+
+module.exports = {
+    ERROR_CLASSES,
+    classifyError,
+    computeBackoff,
+    sleep,
+    withAttemptTimeout,
+    withRetry,
+    CircuitBreaker,
+    CircuitBreakerRegistry,
+};
@@ -0,0 +1,130 @@
+const { CancelledError } = require('../utils/errors');
+const { classifyError, ERROR_CLASSES } = require('./classifyError');
+
+/**
+ * Full-jitter exponential backoff: a random delay between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^(attempt - 1))
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+const computeBackoff = (attempt, { baseDelayMs, maxDelayMs }) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        return reject(new CancelledError());
+    }
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CancelledError());
+    };
+
+    const timer = setTimeout(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+    }, ms);
+
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+});
+
+/**
+ * Runs a single attempt with its own abort signal, which fires when the
+ * caller's signal aborts or the attempt runs longer than timeoutMs. Whatever
+ * the attempt throws once aborted is replaced: onTimeout's error for a
+ * timeout, a CancelledError for the caller's abort.
+ * @param {Function} fn - async (signal) => result
+ * @param {Object} options - { timeoutMs, signal, onTimeout() => Error }
+ * @returns {Promise<*>} Result of fn
+ */
+const withAttemptTimeout = async (fn, { timeoutMs, signal, onTimeout }) => {
+    if (signal && signal.aborted) {
+        throw new CancelledError();
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        return await fn(controller.signal);
+    } catch (error) {
+        if (signal && signal.aborted) {
+            throw new CancelledError();
+        }
+        if (timedOut) {
+            throw onTimeout();
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+};
+
+/**
+ * Runs fn, retrying retryable failures with jittered exponential backoff.
+ * A Retry-After from the upstream (error.retryAfterMs) replaces the computed
+ * delay; if it is longer than maxRetryAfterMs the error is rethrown instead
+ * of waiting.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs, signal, onRetry({ attempt, delayMs, error }) }
+ * @returns {Promise<*>} Result of fn
+ */
+const withRetry = async (fn, options) => {
+    const { maxAttempts, maxRetryAfterMs, signal, onRetry } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= maxAttempts || classifyError(error) !== ERROR_CLASSES.RETRYABLE) {
+                throw error;
+            }
+
+            let delayMs = computeBackoff(attempt, options);
+            if (error.retryAfterMs !== undefined) {
+                if (error.retryAfterMs > maxRetryAfterMs) {
+                    throw error;
+                }
+                delayMs = error.retryAfterMs;
+            }
+
+            if (onRetry) {
+                onRetry({ attempt, delayMs, error });
+            }
+
+            await sleep(delayMs, signal);
+        }
+    }
+};
+
+module.exports = {
+    computeBackoff,
+    sleep,
+    withAttemptTimeout,
+    withRetry,
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { ValidationError, ConfigurationError } = require('../utils/errors');
+const { TENANT_PATTERN } = require('../moderation');
+
+const KEY_PREFIX = 'igk';
+
+/**
+ * API key store backed by a local JSON file. Only SHA-256 hashes of keys are
+ * persisted; the plaintext key is returned once, at creation or rotation.
+ */
+class ApiKeyService {
+    constructor(options = {}) {
+        this.keysFile = path.resolve(options.keysFile);
+        this.defaultQuotas = options.defaultKeyQuotas;
+        this.keys = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.keysFile)) {
+                return;
+            }
+
+            const records = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+            for (const record of records) {
+                this.keys.set(record.id, record);
+            }
+
+            logger.info(`Loaded ${this.keys.size} API key(s) from ${this.keysFile}`);
+        } catch (error) {
+            logger.error(`Failed to load API keys from ${this.keysFile}: ${error.message}`);
+            throw new ConfigurationError('Invalid API key store');
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
+
+        // Write to a temp file first so a crash never leaves a truncated store
+        const tmpFile = `${this.keysFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...this.keys.values()], null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, this.keysFile);
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    generateKey(id) {
+        return `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    /**
+     * Validates quota overrides supplied by an admin
+     * @param {Object} quotas - { hourly, daily, concurrent }
+     * @returns {Object} Quotas merged over the defaults
+     */
+    validateQuotas(quotas = {}) {
+        const merged = { ...this.defaultQuotas };
+
+        for (const field of ['hourly', 'daily', 'concurrent']) {
+            if (quotas[field] === undefined) continue;
+            if (!Number.isInteger(quotas[field]) || quotas[field] < 1) {
+                throw new ValidationError(`Invalid quota: ${field} must be a positive integer`, 'INVALID_QUOTA', { field });
+            }
+            merged[field] = quotas[field];
+        }
+
+        return merged;
+    }
+
+    /**
+     * Creates a key
+     * @param {Object} details - { name, quotas, tenant }
+     * @returns {Object} { key, record } - key is only ever returned here and on rotation
+     */
+    create({ name, quotas, tenant } = {}) {
+        if (!name || typeof name !== 'string' || name.length > 100) {
+            throw new ValidationError('Invalid name: Must be a string under 100 characters', 'INVALID_OPTION', { field: 'name' });
+        }
+        if (tenant !== undefined && (typeof tenant !== 'string' || !TENANT_PATTERN.test(tenant))) {
+            throw new ValidationError('Invalid tenant: Must be lowercase letters, digits, _ or -, up to 64 characters', 'INVALID_OPTION', { field: 'tenant' });
+        }
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const key = this.generateKey(id);
+        const record = {
+            id,
+            name,
+            tenant: tenant || null,
+            hash: this.hash(key),
+            quotas: this.validateQuotas(quotas),
+            createdAt: new Date().toISOString(),
+            rotatedAt: null,
+            revokedAt: null,
+            lastUsedAt: null
+        };
+
+        this.keys.set(id, record);
+        this.save();
+        logger.info(`Created API key ${id} (${name})`);
+
+        return { key, record: this.serialize(record) };
+    }
+
+    list() {
+        return [...this.keys.values()].map(record => this.serialize(record));
+    }
+
+    get(id) {
+        const record = this.keys.get(id);
+        return record ? this.serialize(record) : null;
+    }
+
+    /**
+     * Replaces a key's secret, invalidating the old one immediately
+     * @param {string} id - Key ID
+     * @returns {Object|null} { key, record }, or null if the key is unknown or revoked
+     */
+    rotate(id) {
+        const record = this.keys.get(id);
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const key = this.generateKey(id);
+        record.hash = this.hash(key);
+        record.rotatedAt = new Date().toISOString();
+        this.save();
+        logger.info(`Rotated API key ${id}`);
+
+        return { key, record: this.serialize(record) };
+    }
+
+    revoke(id) {
+        const record = this.keys.get(id);
+        if (!record) {
+            return null;
+        }
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            this.save();
+            logger.info(`Revoked API key ${id}`);
+        }
+
+        return this.serialize(record);
+    }
+
+    /**
+     * Resolves a presented key to its record
+     * @param {string} key - Plaintext key from the Authorization header
+     * @returns {Object|null} The active key record, or null
+     */
+    authenticate(key) {
+        const match = /^igk_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+        if (!match) {
+            return null;
+        }
+
+        const record = this.keys.get(match[1]);
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(this.hash(key), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        // Usage timestamps are informational; persisting them on every request isn't worth the I/O
+        record.lastUsedAt = new Date().toISOString();
+        return record;
+    }
+
+    serialize(record) {
+        const { hash, ...publicFields } = record;
+        return {
+            ...publicFields,
+            status: record.revokedAt ? 'revoked' : 'active'
+        };
+    }
+}
+
+module.exports = new ApiKeyService(config.auth);
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { ValidationError, ConfigurationError } = require('../utils/errors');
+const imageStorage = require('./imageStorage');
+
+// Stored image and thumbnail IDs referenced by the entries
+const imageIdsOf = (entries) => entries
+    .flatMap(entry => entry.images.flatMap(image => [image.id, image.thumbnail && image.thumbnail.id]))
+    .filter(Boolean);
+
+/**
+ * Per-caller record of finished generations, backed by one JSON file per caller.
+ * Entries reference stored images by ID; URLs are issued when entries are read
+ * so signed URLs are always fresh. Removing an entry removes its images.
+ */
+class HistoryService {
+    constructor(options = {}) {
+        this.historyDir = path.resolve(options.dir);
+        this.maxEntriesPerUser = options.maxEntriesPerUser;
+        this.defaultPageSize = options.defaultPageSize;
+        this.maxPageSize = options.maxPageSize;
+        // userId -> entries, newest first
+        this.entries = new Map();
+        // userId -> the caller's latest pending write
+        this.writes = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.historyDir)) {
+            return;
+        }
+
+        let count = 0;
+        for (const name of fs.readdirSync(this.historyDir).filter(file => file.endsWith('.json'))) {
+            const file = path.join(this.historyDir, name);
+            try {
+                const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+                for (const record of records) {
+                    this.entriesFor(record.userId).push(record);
+                }
+                count += records.length;
+            } catch (error) {
+                logger.error(`Failed to load generation history from ${file}: ${error.message}`);
+                throw new ConfigurationError('Invalid generation history store');
+            }
+        }
+
+        logger.info(`Loaded ${count} history entr${count === 1 ? 'y' : 'ies'} from ${this.historyDir}`);
+    }
+
+    // Caller IDs contain characters that aren't safe in file names
+    fileFor(userId) {
+        return path.join(this.historyDir, `${crypto.createHash('sha256').update(userId).digest('hex').slice(0, 32)}.json`);
+    }
+
+    /**
+     * Writes a caller's entries to their file. Writes for one caller run one at a
+     * time, and each writes the entries as they are when it starts, so a burst of
+     * changes ends with the latest state on disk.
+     * @param {string} userId - Caller identity
+     * @returns {Promise<void>} Settles when this change is on disk
+     */
+    save(userId) {
+        const previous = this.writes.get(userId) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => this.writeEntries(userId));
+        this.writes.set(userId, write);
+
+        const forget = () => {
+            if (this.writes.get(userId) === write) {
+                this.writes.delete(userId);
+            }
+        };
+        write.then(forget, forget);
+
+        return write;
+    }
+
+    async writeEntries(userId) {
+        const file = this.fileFor(userId);
+        const entries = this.entries.get(userId) || [];
+        if (entries.length === 0) {
+            await fs.promises.rm(file, { force: true });
+            return;
+        }
+
+        await fs.promises.mkdir(this.historyDir, { recursive: true });
+        // Write to a temp file first so a crash never leaves a truncated store
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(entries));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    /**
+     * @returns {Promise<void>} Settles once every pending write has finished
+     */
+    async flush() {
+        await Promise.allSettled([...this.writes.values()]);
+    }
+
+    entriesFor(userId) {
+        if (!this.entries.has(userId)) {
+            this.entries.set(userId, []);
+        }
+        return this.entries.get(userId);
+    }
+
+    /**
+     * Records a finished generation, dropping the caller's oldest entries over the cap
+     * @param {Object} details - { userId, prompt, modelUsed, options, processingTimeMs, source, images }
+     * @returns {Object} Stored entry
+     */
+    record({ userId, prompt, modelUsed, options, processingTimeMs, source, images }) {
+        const entry = {
+            id: crypto.randomBytes(8).toString('hex'),
+            userId,
+            createdAt: new Date().toISOString(),
+            source,
+            prompt,
+            modelUsed,
+            options,
+            processingTimeMs,
+            // Only references: the bytes live in image storage
+            images: images.map(image => ({
+                index: image.index,
+                id: image.id || null,
+                mimeType: image.mimeType,
+                width: image.width,
+                height: image.height,
+                thumbnail: image.thumbnail && image.thumbnail.id
+                    ? { id: image.thumbnail.id, mimeType: image.thumbnail.mimeType, width: image.thumbnail.width, height: image.thumbnail.height }
+                    : null
+            }))
+        };
+
+        const entries = this.entriesFor(userId);
+        entries.unshift(entry);
+        const pruned = entries.splice(this.maxEntriesPerUser);
+        // Not awaited: the generation has already succeeded
+        this.save(userId).catch(error => {
+            logger.error(`Failed to save history for user ${userId}: ${error.message}`);
+        });
+
+        this.removeImages(pruned);
+        return entry;
+    }
+
+    /**
+     * Parses and checks list query parameters
+     * @param {Object} query - Query string values
+     * @returns {Object} { q, model, strategy, from, to, page, limit }
+     */
+    parseQuery(query = {}) {
+        const parsePositive = (field, fallback, max) => {
+            if (query[field] === undefined) {
+                return fallback;
+            }
+            const value = Number(query[field]);
+            if (!/^\d+$/.test(query[field]) || value < 1 || (max && value > max)) {
+                throw new ValidationError(`Invalid ${field}: Must be ${max ? `an integer between 1 and ${max}` : 'a positive integer'}`, 'INVALID_OPTION', { field });
+            }
+            return value;
+        };
+
+        const parseDate = (field) => {
+            if (query[field] === undefined) {
+                return null;
+            }
+            const date = new Date(query[field]);
+            if (typeof query[field] !== 'string' || Number.isNaN(date.getTime())) {
+                throw new ValidationError(`Invalid ${field}: Must be an ISO 8601 date`, 'INVALID_OPTION', { field });
+            }
+            return date;
+        };
+
+        for (const field of ['q', 'model', 'strategy']) {
+            if (query[field] !== undefined && (typeof query[field] !== 'string' || query[field].length > 200)) {
+                throw new ValidationError(`Invalid ${field}: Must be a string under 200 characters`, 'INVALID_OPTION', { field });
+            }
+        }
+
+        const from = parseDate('from');
+        let to = parseDate('to');
+        // A bare date means the whole of that day
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+            to = new Date(to.getTime() + 86400000 - 1);
+        }
+
+        return {
+            q: query.q ? query.q.trim().toLowerCase() : '',
+            model: query.model || null,
+            strategy: query.strategy || null,
+            from,
+            to,
+            page: parsePositive('page', 1),
+            limit: parsePositive('limit', this.defaultPageSize, this.maxPageSize)
+        };
+    }
+
+    /**
+     * Lists a caller's entries, newest first
+     * @param {string} userId - Caller identity
+     * @param {Object} query - { q, model, strategy, from, to, page, limit } from the query string
+     * @returns {Object} { entries, pagination }
+     */
+    list(userId, query) {
+        const { q, model, strategy, from, to, page, limit } = this.parseQuery(query);
+
+        const matches = (this.entries.get(userId) || []).filter(entry => {
+            const createdAt = new Date(entry.createdAt);
+            return (!q || `${entry.prompt.original}\n${entry.prompt.used}`.toLowerCase().includes(q)) &&
+                (!model || entry.modelUsed === model) &&
+                (!strategy || entry.prompt.strategy === strategy) &&
+                (!from || createdAt >= from) &&
+                (!to || createdAt <= to);
+        });
+
+        return {
+            entries: matches.slice((page - 1) * limit, page * limit).map(entry => this.serialize(entry)),
+            pagination: {
+                page,
+                limit,
+                total: matches.length,
+                totalPages: Math.ceil(matches.length / limit)
+            }
+        };
+    }
+
+    get(userId, id) {
+        const entry = (this.entries.get(userId) || []).find(candidate => candidate.id === id);
+        return entry ? this.serialize(entry) : null;
+    }
+
+    /**
+     * Deletes one entry and its stored images
+     * @param {string} userId - Caller identity
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object|null>} The deleted entry, or null if the caller has no such entry
+     */
+    async remove(userId, id) {
+        const entries = this.entries.get(userId) || [];
+        const index = entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const [entry] = entries.splice(index, 1);
+        await this.save(userId);
+        this.removeImages([entry]);
+        logger.info(`Deleted history entry ${id} for user ${userId}`);
+
+        // No URLs: the images are gone
+        const { userId: owner, ...deleted } = entry;
+        return deleted;
+    }
+
+    /**
+     * Deletes all of a caller's entries and their stored images
+     * @param {string} userId - Caller identity
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async clear(userId) {
+        const entries = this.entries.get(userId) || [];
+        this.entries.delete(userId);
+        await this.save(userId);
+        this.removeImages(entries);
+        logger.info(`Cleared ${entries.length} history entries for user ${userId}`);
+
+        return entries.length;
+    }
+
+    /**
+     * @returns {Set<string>} IDs of every stored image and thumbnail an entry references
+     */
+    imageIds() {
+        return new Set(imageIdsOf([...this.entries.values()].flat()));
+    }
+
+    // Best effort: an image left behind costs storage, not correctness
+    removeImages(entries) {
+        const ids = imageIdsOf(entries);
+        if (ids.length === 0 || !imageStorage.enabled) {
+            return;
+        }
+
+        Promise.all(ids.map(id => imageStorage.remove(id))).catch(error => {
+            logger.error(`Failed to delete images of removed history entries: ${error.message}`);
+        });
+    }
+
+    serialize(entry) {
+        const { userId, ...publicFields } = entry;
+        return {
+            ...publicFields,
+            images: entry.images.map(image => (image.id && imageStorage.enabled
+                ? {
+                    ...image,
+                    ...imageStorage.createUrl(image.id),
+                    thumbnail: image.thumbnail && { ...image.thumbnail, ...imageStorage.createUrl(image.thumbnail.id) }
+                }
+                : image))
+        };
+    }
+}
+
+module.exports = new HistoryService(config.history);
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { StorageError } = require('../utils/errors');
+const { createImageStore } = require('../storage');
+
+const IMAGE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Saves generated images under random IDs and issues the URLs they are served
+ * from by GET /api/images/:id, signed and expiring when a signing secret is set.
+ */
+class ImageStorageService {
+    constructor(options = {}) {
+        this.backend = options.backend;
+        this.store = options.backend === 'none' ? null : createImageStore(options.backend, options[options.backend]);
+        this.signingSecret = options.urlSigningSecret || null;
+        this.urlTtlSeconds = options.urlTtlSeconds;
+        this.publicBaseUrl = options.publicBaseUrl;
+        this.retentionSeconds = options.retentionSeconds;
+
+        logger.info(`Image storage: ${this.backend}${this.signingSecret ? ', signed URLs' : ''}`);
+    }
+
+    get enabled() {
+        return this.store !== null;
+    }
+
+    isValidId(id) {
+        return IMAGE_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Saves generated images
+     * @param {Array} images - [{ index, base64, mimeType, ... }] from the image service
+     * @param {string} userId - Caller identity, kept with each image
+     * @returns {Promise<Array>} The images with id and url added
+     */
+    async saveAll(images, userId) {
+        try {
+            return await Promise.all(images.map(image => this.save(image, userId)));
+        } catch (error) {
+            throw this.toStorageError(error, 'save');
+        }
+    }
+
+    /**
+     * Saves one image, and its thumbnail when it has one
+     * @param {Object} image - { base64, mimeType, thumbnail, ... }
+     * @param {string} userId - Caller identity
+     * @returns {Promise<Object>} The image with id and url added, to the thumbnail too
+     */
+    async save(image, userId) {
+        const id = crypto.randomBytes(16).toString('hex');
+        const data = Buffer.from(image.base64, 'base64');
+
+        await this.store.put(id, data, {
+            mimeType: image.mimeType,
+            size: data.length,
+            etag: crypto.createHash('sha256').update(data).digest('hex'),
+            createdAt: new Date().toISOString(),
+            userId
+        });
+
+        const saved = { ...image, id, ...this.createUrl(id) };
+        if (image.thumbnail) {
+            saved.thumbnail = await this.save(image.thumbnail, userId);
+        }
+        return saved;
+    }
+
+    /**
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>} { data, metadata }, or null if there is no such image
+     */
+    async load(id) {
+        try {
+            return await this.store.get(id);
+        } catch (error) {
+            throw this.toStorageError(error, 'read');
+        }
+    }
+
+    /**
+     * @param {string} id - Image ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        try {
+            await this.store.delete(id);
+        } catch (error) {
+            throw this.toStorageError(error, 'delete');
+        }
+    }
+
+    /**
+     * Deletes the images saved more than retentionSeconds ago, except the ones to keep
+     * @param {Set<string>} keep - IDs to keep whatever their age, such as those history entries reference
+     * @returns {Promise<number>} Number of images deleted
+     */
+    async sweep(keep) {
+        const cutoff = Date.now() - this.retentionSeconds * 1000;
+        let images;
+        try {
+            images = await this.store.list();
+        } catch (error) {
+            throw this.toStorageError(error, 'list');
+        }
+
+        // Anything else sharing the directory or prefix is left alone
+        const expired = images.filter(image => this.isValidId(image.id) && !keep.has(image.id) && image.lastModified.getTime() < cutoff);
+        for (const image of expired) {
+            await this.remove(image.id);
+        }
+
+        if (expired.length > 0) {
+            logger.info(`Deleted ${expired.length} image${expired.length === 1 ? '' : 's'} older than ${this.retentionSeconds}s`);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Filesystem and network errors from the store become StorageErrors
+     * @param {Error} error - Error from the store
+     * @param {string} operation - What was being done, for the message
+     * @returns {StorageError} Error to throw
+     */
+    toStorageError(error, operation) {
+        if (error instanceof StorageError) {
+            return error;
+        }
+        logger.error(`Image storage ${operation} failed: ${error.message}`);
+        return new StorageError(`Failed to ${operation} image: ${error.message}`, { backend: this.backend });
+    }
+
+    sign(id, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${id}:${expires}`).digest('base64url');
+    }
+
+    /**
+     * @param {string} id - Image ID
+     * @returns {Object} { url, urlExpiresAt } - urlExpiresAt is null for unsigned URLs
+     */
+    createUrl(id) {
+        const url = `${this.publicBaseUrl}/api/images/${id}`;
+        if (!this.signingSecret) {
+            return { url, urlExpiresAt: null };
+        }
+
+        const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+        return {
+            url: `${url}?expires=${expires}&signature=${this.sign(id, expires)}`,
+            urlExpiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Checks a URL's signature; always passes when URLs aren't signed
+     * @param {string} id - Image ID
+     * @param {Object} query - { expires, signature } from the URL
+     * @returns {string|null} Why the URL is not valid, or null if it is: 'invalid' or 'expired'
+     */
+    checkUrl(id, { expires, signature } = {}) {
+        if (!this.signingSecret) {
+            return null;
+        }
+        if (typeof expires !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires)) {
+            return 'invalid';
+        }
+
+        const expected = Buffer.from(this.sign(id, expires));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return 'invalid';
+        }
+        return Number(expires) * 1000 < Date.now() ? 'expired' : null;
+    }
+
+    getStatus() {
+        return {
+            backend: this.backend,
+            signedUrls: Boolean(this.signingSecret),
+            urlTtlSeconds: this.signingSecret ? this.urlTtlSeconds : null,
+            retentionSeconds: this.enabled ? this.retentionSeconds : null
+        };
+    }
+}
+
+module.exports = new ImageStorageService(config.storage);
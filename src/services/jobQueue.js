@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { ServiceUnavailableError } = require('../utils/errors');
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATES = [JOB_STATES.SUCCEEDED, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+/**
+ * In-process generation queue. Jobs run through a fixed number of workers,
+ * report progress while running and are kept for a retention period after
+ * they finish so clients can poll for the result.
+ *
+ * Emits 'update' with the job whenever its state or progress changes, and
+ * 'progress' with the job and event for each progress event. The most recent
+ * events are kept on the job so late subscribers can replay them.
+ */
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.concurrency = options.concurrency;
+        this.retentionMs = options.retentionMs;
+        this.maxQueued = options.maxQueued;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.maxEvents = options.maxEvents;
+
+        // Every open progress stream subscribes; don't warn past the default of 10
+        this.setMaxListeners(0);
+
+        this.pruneTimer = setInterval(() => this.pruneExpired(), Math.min(this.retentionMs, 60000));
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Queues a task for execution
+     * @param {Object} details - { userId, prompt, options } recorded on the job
+     * @param {Function} task - async ({ onProgress, signal }) => result
+     * @param {Object} hooks - Optional { onSettled(job) } called once the job finishes
+     * @returns {Object} The queued job
+     */
+    enqueue(details, task, hooks = {}) {
+        if (this.pending.length >= this.maxQueued) {
+            throw new ServiceUnavailableError('Job queue is full. Please try again later.', 'QUEUE_FULL');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: JOB_STATES.QUEUED,
+            userId: details.userId,
+            prompt: details.prompt,
+            options: details.options,
+            progress: null,
+            events: [],
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            task,
+            onSettled: hooks.onSettled,
+            controller: new AbortController(),
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        logger.info(`Job ${job.id} queued (${this.pending.length} pending, ${this.running} running)`);
+
+        this.emit('update', job);
+        this.drain();
+        return job;
+    }
+
+    isFinished(job) {
+        return FINISHED_STATES.includes(job.status);
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Cancels a queued or running job. Running jobs stop at the next attempt boundary.
+     * @param {string} id - Job ID
+     * @returns {Object|null} The job, or null if unknown
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        if (this.isFinished(job)) {
+            return job;
+        }
+
+        job.controller.abort();
+
+        if (job.status === JOB_STATES.QUEUED) {
+            this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+            this.finish(job, JOB_STATES.CANCELLED, { error: { code: 'JOB_CANCELLED', message: 'Job was cancelled' } });
+        } else {
+            logger.info(`Cancellation requested for running job ${id}`);
+        }
+
+        return job;
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.run(job);
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.status = JOB_STATES.RUNNING;
+        job.startedAt = new Date().toISOString();
+        this.emit('update', job);
+
+        try {
+            const result = await job.task({
+                signal: job.controller.signal,
+                onProgress: (event) => {
+                    job.progress = event;
+                    job.events.push(event);
+                    if (job.events.length > this.maxEvents) {
+                        job.events.shift();
+                    }
+                    this.emit('progress', job, event);
+                    this.emit('update', job);
+                }
+            });
+
+            if (job.controller.signal.aborted) {
+                this.finish(job, JOB_STATES.CANCELLED, { error: { code: 'JOB_CANCELLED', message: 'Job was cancelled' } });
+            } else {
+                this.finish(job, JOB_STATES.SUCCEEDED, { result });
+            }
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                this.finish(job, JOB_STATES.CANCELLED, { error: { code: 'JOB_CANCELLED', message: 'Job was cancelled' } });
+            } else {
+                logger.error(`Job ${job.id} failed: ${error.message}`);
+                this.finish(job, JOB_STATES.FAILED, { error: this.serializeError(error) });
+            }
+        } finally {
+            this.running--;
+            this.drain();
+        }
+    }
+
+    /**
+     * Converts a task failure into the error recorded on the job, hiding
+     * upstream details behind the error's public message
+     * @param {Error} error - Error thrown by the task
+     * @returns {Object} { code, message, details? }
+     */
+    serializeError(error) {
+        const serialized = {
+            code: error.code || 'GENERATION_ERROR',
+            message: error.publicMessage || error.message
+        };
+
+        if (error.details && error.statusCode < 500) {
+            serialized.details = error.details;
+        }
+
+        return serialized;
+    }
+
+    finish(job, status, { result = null, error = null }) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        job.task = null;
+
+        logger.info(`Job ${job.id} ${status}`);
+
+        if (job.onSettled) {
+            try {
+                job.onSettled(job);
+            } catch (settleError) {
+                logger.warn(`Job ${job.id} settle hook failed:`, settleError.message);
+            }
+            job.onSettled = null;
+        }
+
+        this.emit('update', job);
+    }
+
+    pruneExpired() {
+        const cutoff = Date.now() - this.retentionMs;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Public view of a job, without internal handles
+     * @param {Object} job - Job record
+     * @returns {Object} Serializable job
+     */
+    serialize(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            prompt: job.prompt,
+            options: job.options,
+            progress: job.progress,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            expiresAt: job.finishedAt
+                ? new Date(Date.parse(job.finishedAt) + this.retentionMs).toISOString()
+                : null
+        };
+    }
+
+    getStats() {
+        return {
+            queued: this.pending.length,
+            running: this.running,
+            retained: this.jobs.size,
+            concurrency: this.concurrency
+        };
+    }
+}
+
+module.exports = new JobQueue(config.jobs);
@@ -0,0 +1,5 @@
+const config = require('../utils/config');
+const { createModerationEngine } = require('../moderation');
+
+// One engine shared by request validation and PromptGuard
+module.exports = createModerationEngine(config.moderation);
@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { ValidationError, ConfigurationError } = require('../utils/errors');
+
+const VARIABLE_TYPES = ['string', 'number', 'integer', 'enum'];
+// Optional variable fields kept when a template is saved; name, type and required are always set
+const VARIABLE_FIELDS = ['description', 'default', 'options', 'maxLength', 'min', 'max'];
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+// {{ name }}, whitespace inside the braces optional
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}\s]*)\s*\}\}/g;
+
+/**
+ * Library of reusable prompts with typed {{variables}}, backed by a local JSON file
+ */
+class TemplateService {
+    constructor(options = {}) {
+        this.templatesFile = path.resolve(options.file);
+        this.maxTemplates = options.maxTemplates;
+        this.maxPromptLength = options.maxPromptLength;
+        this.maxVariableLength = options.maxVariableLength;
+        this.templates = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.templatesFile)) {
+                return;
+            }
+
+            const records = JSON.parse(fs.readFileSync(this.templatesFile, 'utf8'));
+            for (const record of records) {
+                this.templates.set(record.id, record);
+            }
+
+            logger.info(`Loaded ${this.templates.size} prompt template(s) from ${this.templatesFile}`);
+        } catch (error) {
+            logger.error(`Failed to load prompt templates from ${this.templatesFile}: ${error.message}`);
+            throw new ConfigurationError('Invalid prompt template store');
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.templatesFile), { recursive: true });
+
+        // Write to a temp file first so a crash never leaves a truncated store
+        const tmpFile = `${this.templatesFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...this.templates.values()], null, 2));
+        fs.renameSync(tmpFile, this.templatesFile);
+    }
+
+    /**
+     * @param {string} prompt - Template prompt
+     * @returns {Array} Variable names referenced by {{placeholders}}, in order of first use
+     */
+    findPlaceholders(prompt) {
+        return [...new Set([...prompt.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Checks a variable definition
+     * @param {Object} variable - { name, type, description, required, default, options, maxLength, min, max }
+     * @param {string} where - Location for messages
+     * @param {Array} problems - Collected problems
+     */
+    checkVariable(variable, where, problems) {
+        if (!variable || typeof variable !== 'object' || Array.isArray(variable)) {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+
+        const problemCount = problems.length;
+        if (typeof variable.name !== 'string' || !VARIABLE_NAME_PATTERN.test(variable.name)) {
+            problems.push(`${where}.name must start with a letter and contain only letters, digits and _`);
+        }
+        if (!VARIABLE_TYPES.includes(variable.type)) {
+            problems.push(`${where}.type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+            return;
+        }
+        if (variable.description !== undefined && typeof variable.description !== 'string') {
+            problems.push(`${where}.description must be a string`);
+        }
+        if (variable.required !== undefined && typeof variable.required !== 'boolean') {
+            problems.push(`${where}.required must be true or false`);
+        }
+
+        if (variable.type === 'enum') {
+            if (!Array.isArray(variable.options) || variable.options.length === 0 ||
+                variable.options.some(option => typeof option !== 'string' || !option.trim())) {
+                problems.push(`${where}.options must be a non-empty array of strings`);
+            }
+        } else if (variable.options !== undefined) {
+            problems.push(`${where}.options is only valid for enum variables`);
+        }
+
+        if (variable.maxLength !== undefined &&
+            (variable.type !== 'string' || !Number.isInteger(variable.maxLength) || variable.maxLength < 1)) {
+            problems.push(`${where}.maxLength must be a positive integer on a string variable`);
+        }
+
+        for (const bound of ['min', 'max']) {
+            if (variable[bound] !== undefined &&
+                (!['number', 'integer'].includes(variable.type) || typeof variable[bound] !== 'number')) {
+                problems.push(`${where}.${bound} must be a number on a number or integer variable`);
+            }
+        }
+
+        if (variable.default !== undefined && problems.length === problemCount) {
+            const problem = this.checkValue(variable, variable.default);
+            if (problem) {
+                problems.push(`${where}.default ${problem}`);
+            }
+        }
+    }
+
+    /**
+     * Checks a value against its variable definition
+     * @param {Object} variable - Variable definition
+     * @param {*} value - Supplied value
+     * @returns {string|null} What is wrong with the value, or null if it is valid
+     */
+    checkValue(variable, value) {
+        if (variable.type === 'enum') {
+            return variable.options.includes(value) ? null : `must be one of: ${variable.options.join(', ')}`;
+        }
+
+        if (variable.type === 'number' || variable.type === 'integer') {
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (variable.type === 'integer' && !Number.isInteger(value))) {
+                return `must be ${variable.type === 'integer' ? 'an integer' : 'a number'}`;
+            }
+            if (variable.min !== undefined && value < variable.min) {
+                return `must be at least ${variable.min}`;
+            }
+            if (variable.max !== undefined && value > variable.max) {
+                return `must be at most ${variable.max}`;
+            }
+            return null;
+        }
+
+        const maxLength = variable.maxLength || this.maxVariableLength;
+        if (typeof value !== 'string' || !value.trim()) {
+            return 'must be a non-empty string';
+        }
+        if (value.length > maxLength) {
+            return `must be at most ${maxLength} characters`;
+        }
+        // Values are substituted once; braces would read as placeholders to anyone reviewing the result
+        if (/[{}]/.test(value)) {
+            return 'must not contain { or }';
+        }
+        return null;
+    }
+
+    /**
+     * Validates a template definition and reports every problem at once
+     * @param {Object} definition - { name, description, prompt, variables }
+     * @returns {Object} Normalized definition
+     */
+    validateDefinition(definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new ValidationError('Invalid template: Must be an object', 'INVALID_TEMPLATE');
+        }
+
+        const { name, description, prompt, variables = [] } = definition;
+        const problems = [];
+
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            problems.push('name must be a string under 100 characters');
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            problems.push('description must be a string under 500 characters');
+        }
+        if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > this.maxPromptLength) {
+            problems.push(`prompt must be a non-empty string under ${this.maxPromptLength} characters`);
+        }
+
+        if (!Array.isArray(variables)) {
+            problems.push('variables must be an array');
+        } else {
+            variables.forEach((variable, index) => this.checkVariable(variable, `variables[${index}]`, problems));
+
+            const names = variables.map(variable => variable && variable.name);
+            const duplicates = names.filter((variableName, index) => names.indexOf(variableName) !== index);
+            if (duplicates.length > 0) {
+                problems.push(`variables are declared more than once: ${[...new Set(duplicates)].join(', ')}`);
+            }
+
+            if (typeof prompt === 'string') {
+                const placeholders = this.findPlaceholders(prompt);
+                const undeclared = placeholders.filter(placeholder => !names.includes(placeholder));
+                const unused = names.filter(variableName => variableName && !placeholders.includes(variableName));
+                if (undeclared.length > 0) {
+                    problems.push(`prompt uses undeclared variables: ${undeclared.join(', ')}`);
+                }
+                if (unused.length > 0) {
+                    problems.push(`variables are not used in the prompt: ${unused.join(', ')}`);
+                }
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new ValidationError(`Invalid template: ${problems.join('; ')}`, 'INVALID_TEMPLATE', { problems });
+        }
+
+        return {
+            name: name.trim(),
+            description: description ? description.trim() : '',
+            prompt: prompt.trim(),
+            variables: variables.map(variable => this.normalizeVariable(variable))
+        };
+    }
+
+    /**
+     * Copies the known fields of a checked variable, dropping anything else the client sent
+     * @param {Object} variable - Variable definition that passed checkVariable
+     * @returns {Object} Stored variable definition
+     */
+    normalizeVariable(variable) {
+        const normalized = { name: variable.name, type: variable.type };
+
+        VARIABLE_FIELDS.forEach(field => {
+            if (variable[field] !== undefined) {
+                normalized[field] = variable[field];
+            }
+        });
+
+        // A variable with a default can always be left out
+        normalized.required = variable.default === undefined && variable.required !== false;
+
+        return normalized;
+    }
+
+    /**
+     * Creates a template
+     * @param {Object} definition - { name, description, prompt, variables }
+     * @param {string} createdBy - Caller identity
+     * @returns {Object} Stored template
+     */
+    create(definition, createdBy) {
+        if (this.templates.size >= this.maxTemplates) {
+            throw new ValidationError(`Template limit reached: at most ${this.maxTemplates} templates can be stored`, 'TEMPLATE_LIMIT_REACHED');
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this.validateDefinition(definition),
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.templates.set(record.id, record);
+        this.save();
+        logger.info(`Created prompt template ${record.id} (${record.name})`);
+
+        return record;
+    }
+
+    list() {
+        return [...this.templates.values()];
+    }
+
+    get(id) {
+        return this.templates.get(id) || null;
+    }
+
+    /**
+     * Replaces a template's definition
+     * @param {string} id - Template ID
+     * @param {Object} definition - { name, description, prompt, variables }
+     * @param {string} updatedBy - Caller identity
+     * @returns {Object|null} Updated template, or null if the template is unknown
+     */
+    update(id, definition, updatedBy) {
+        const record = this.templates.get(id);
+        if (!record) {
+            return null;
+        }
+
+        Object.assign(record, this.validateDefinition(definition), {
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        });
+        this.save();
+        logger.info(`Updated prompt template ${id}`);
+
+        return record;
+    }
+
+    /**
+     * Whether a caller may replace or delete a template.
+     * Admins may change any template; other callers only the ones their API key created.
+     * Templates created without an API key belong to an IP address, which callers
+     * behind the same NAT share, so only an admin can change those.
+     * @param {Object} template - Stored template
+     * @param {Object} identity - req.identity
+     * @returns {boolean}
+     */
+    canModify(template, identity) {
+        if (identity.type === 'admin') {
+            return true;
+        }
+
+        return identity.type === 'api_key' && template.createdBy === identity.id;
+    }
+
+    remove(id) {
+        const record = this.templates.get(id);
+        if (!record) {
+            return null;
+        }
+
+        this.templates.delete(id);
+        this.save();
+        logger.info(`Deleted prompt template ${id}`);
+
+        return record;
+    }
+
+    /**
+     * Fills a template's variables, applying defaults
+     * @param {Object} template - Stored template
+     * @param {Object} values - Variable values from the request
+     * @returns {Object} { prompt, variables } - the rendered prompt and the values used
+     */
+    render(template, values = {}) {
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            throw new ValidationError('Invalid variables: Must be an object', 'INVALID_VARIABLES');
+        }
+
+        const declared = template.variables.map(variable => variable.name);
+        const unknown = Object.keys(values).filter(name => !declared.includes(name));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown variables: ${unknown.join(', ')}`, 'INVALID_VARIABLES', { variables: unknown });
+        }
+
+        const resolved = {};
+        for (const variable of template.variables) {
+            const value = values[variable.name] !== undefined ? values[variable.name] : variable.default;
+            if (value === undefined) {
+                if (variable.required) {
+                    throw new ValidationError(`Missing variable: ${variable.name}`, 'INVALID_VARIABLES', { variable: variable.name });
+                }
+                resolved[variable.name] = '';
+                continue;
+            }
+
+            const problem = this.checkValue(variable, value);
+            if (problem) {
+                throw new ValidationError(`Invalid variable ${variable.name}: ${problem}`, 'INVALID_VARIABLES', { variable: variable.name });
+            }
+            resolved[variable.name] = typeof value === 'string' ? value.trim() : value;
+        }
+
+        const prompt = template.prompt
+            .replace(PLACEHOLDER_PATTERN, (match, name) => String(resolved[name]))
+            // Optional variables left empty shouldn't leave stray spacing behind
+            .replace(/\s{2,}/g, ' ')
+            .replace(/\s+([,.;:])/g, '$1')
+            .trim();
+
+        return { prompt, variables: resolved };
+    }
+}
+
+module.exports = new TemplateService(config.templates);
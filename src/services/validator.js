@@ -1,109 +1,518 @@
 const { logger } = require('../utils/logger');
+const config = require('../utils/config');
+const { ValidationError, RateLimitError } = require('../utils/errors');
+const { createRateLimitStore, SlidingWindowLimiter, ConcurrencyLease } = require('../rateLimit');
+const { findPipelineProblems, builtinStrategyNames } = require('../strategies');
+const { getStylePreset, listStylePresets } = require('../utils/stylePresets');
+const { splitTerms, mergeNegativePrompts } = require('../utils/negativePrompt');
+const { detectFormat } = require('../utils/imageMetadata');
+const moderation = require('./moderation');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
 
 class ValidationService {
     constructor() {
-        this.rateLimits = new Map();
-        this.MAX_REQUESTS_PER_HOUR = parseInt(process.env.MAX_REQUESTS_PER_USER_PER_HOUR) || 21;
-        this.RATE_LIMIT_WINDOW = 3600000; // 1 hour in milliseconds
-        this.concurrentRequests = new Map();
-        this.MAX_CONCURRENT_GENERATIONS = parseInt(process.env.MAX_CONCURRENT_GENERATIONS) || 3;
+        this.MAX_REQUESTS_PER_HOUR = config.rateLimit.maxRequestsPerHour;
+        this.MAX_REQUESTS_PER_DAY = config.rateLimit.maxRequestsPerDay;
+        this.MAX_CONCURRENT_GENERATIONS = config.rateLimit.maxConcurrentGenerations;
+
+        this.store = createRateLimitStore(config.rateLimit.store, {
+            url: config.rateLimit.redisUrl,
+            keyPrefix: config.rateLimit.keyPrefix
+        });
+        this.limiter = new SlidingWindowLimiter(this.store, {
+            concurrencyTtlMs: config.rateLimit.concurrencyTtlMs
+        });
     }
 
-    validateRateLimit(userId) {
-        const now = Date.now();
-        const userRateLimit = this.rateLimits.get(userId) || {
-            requests: 0,
-            windowStart: now
+    /**
+     * Resolves the effective limits for a caller
+     * @param {Object} limits - Optional per-caller { hourly, daily, concurrent } overrides
+     * @returns {Object} Effective limits; daily is 0 when uncapped
+     */
+    resolveLimits(limits = {}) {
+        return {
+            hourly: limits.hourly || this.MAX_REQUESTS_PER_HOUR,
+            daily: limits.daily || this.MAX_REQUESTS_PER_DAY,
+            concurrent: limits.concurrent || this.MAX_CONCURRENT_GENERATIONS
         };
+    }
 
-        // Reset window if it's expired
-        if (now - userRateLimit.windowStart > this.RATE_LIMIT_WINDOW) {
-            userRateLimit.requests = 0;
-            userRateLimit.windowStart = now;
-        }
+    /**
+     * Checks and records a request against the caller's quotas and takes a concurrency slot
+     * @param {string} userId - Caller identity
+     * @param {Object} limits - Optional per-caller { hourly, daily, concurrent } overrides
+     * @returns {Promise<Object>} Window states ({ hourly, daily, concurrency }) for rate-limit headers,
+     *   and the `lease` holding the concurrency slot; the caller must release it when done
+     */
+    async validateRateLimit(userId, limits = {}) {
+        const policy = this.resolveLimits(limits);
 
-        // Check if user has exceeded rate limit
-        if (userRateLimit.requests >= this.MAX_REQUESTS_PER_HOUR) {
-            const minutesUntilReset = Math.ceil((this.RATE_LIMIT_WINDOW - (now - userRateLimit.windowStart)) / 60000);
-            throw new Error(`Rate limit exceeded. Please try again in ${minutesUntilReset} minutes.`);
+        const hourly = await this.limiter.hit(userId, HOUR_MS, policy.hourly);
+        if (!hourly.allowed) {
+            const minutesUntilReset = Math.ceil(hourly.retryAfterMs / 60000);
+            throw new RateLimitError(
+                `Rate limit exceeded. Please try again in ${minutesUntilReset} minutes.`,
+                'RATE_LIMIT_EXCEEDED',
+                hourly
+            );
         }
 
-        // Check concurrent requests
-        const concurrentCount = this.concurrentRequests.get(userId) || 0;
-        if (concurrentCount >= this.MAX_CONCURRENT_GENERATIONS) {
-            throw new Error(`Too many concurrent requests. Please wait for your previous generations to complete.`);
+        let daily = null;
+        if (policy.daily) {
+            daily = await this.limiter.hit(userId, DAY_MS, policy.daily);
+            if (!daily.allowed) {
+                await this.limiter.undo(hourly);
+                const hoursUntilReset = Math.ceil(daily.retryAfterMs / 3600000);
+                throw new RateLimitError(
+                    `Daily rate limit exceeded. Please try again in ${hoursUntilReset} hours.`,
+                    'DAILY_LIMIT_EXCEEDED',
+                    daily
+                );
+            }
         }
 
-        // Increment request count
-        userRateLimit.requests++;
-        this.rateLimits.set(userId, userRateLimit);
-        
-        // Increment concurrent count
-        this.concurrentRequests.set(userId, concurrentCount + 1);
+        const concurrency = await this.limiter.acquire(userId, policy.concurrent);
+        if (!concurrency.allowed) {
+            await this.limiter.undo(hourly);
+            if (daily) {
+                await this.limiter.undo(daily);
+            }
+            throw new RateLimitError(
+                `Too many concurrent requests. Please wait for your previous generations to complete.`,
+                'CONCURRENCY_LIMIT_EXCEEDED',
+                { ...hourly, retryAfterMs: 1000 }
+            );
+        }
         
-        return true;
+        const lease = new ConcurrencyLease(this.limiter, userId, {
+            timeoutMs: config.rateLimit.concurrencyTtlMs
+        });
+
+        return { hourly, daily, concurrency, lease };
     }
 
-    decrementConcurrentRequests(userId) {
-        const concurrentCount = this.concurrentRequests.get(userId) || 0;
-        if (concurrentCount > 0) {
-            this.concurrentRequests.set(userId, concurrentCount - 1);
-        }
+    /**
+     * Reports a caller's remaining budget without consuming any
+     * @param {string} userId - Caller identity
+     * @param {Object} limits - Optional per-caller overrides
+     * @returns {Promise<Object>} { hourly, daily, concurrency }
+     */
+    async getUsage(userId, limits = {}) {
+        const policy = this.resolveLimits(limits);
+
+        return {
+            hourly: await this.limiter.peek(userId, HOUR_MS, policy.hourly),
+            daily: policy.daily ? await this.limiter.peek(userId, DAY_MS, policy.daily) : null,
+            concurrency: {
+                limit: policy.concurrent,
+                active: await this.limiter.activeCount(userId)
+            }
+        };
     }
 
-    validateUserInput(text) {
+    /**
+     * Checks a prompt's length and runs it through the caller's moderation policy
+     * @param {string} text - Prompt
+     * @param {Object} context - { tenant } from the caller's API key
+     * @returns {Object} Moderation result; its prompt has any rewrite rules applied
+     */
+    validateUserInput(text, { tenant } = {}) {
         if (!text || typeof text !== 'string') {
-            throw new Error('Invalid input: Must provide a text description');
+            throw new ValidationError('Invalid input: Must provide a text description', 'INVALID_PROMPT');
         }
 
         if (text.length < 3) {
-            throw new Error('Input too short: Please provide a more detailed description (at least 3 characters)');
+            throw new ValidationError('Input too short: Please provide a more detailed description (at least 3 characters)', 'PROMPT_TOO_SHORT');
         }
 
         if (text.length > 1000) {
-            throw new Error('Input too long: Must be under 1000 characters');
+            throw new ValidationError('Input too long: Must be under 1000 characters', 'PROMPT_TOO_LONG');
         }
 
-        // Check for potentially harmful content
-        const blockedTerms = [
-            'hack', 'exploit', 'vulnerability', 'nude', 'naked', 'pornography', 
-            'explicit', 'violence', 'gore', 'hate', 'harassment', 'terrorism'
-        ];
-        
-        if (blockedTerms.some(term => text.toLowerCase().includes(term))) {
-            throw new Error('Invalid input: Contains prohibited terms');
+        const result = moderation.evaluate(text, { tenant });
+        if (result.blocked) {
+            // Only the blocking rules: those are what the caller has to change
+            const matchedRules = result.matchedRules.filter(match => match.action === 'block');
+            throw new ValidationError(
+                `Invalid input: Contains prohibited content (${matchedRules.map(match => match.description).join('; ')})`,
+                'PROHIBITED_CONTENT',
+                { policy: result.policy, matchedRules }
+            );
+        }
+
+        if (result.rewritten) {
+            logger.info(`Moderation rewrote prompt using rules: ${result.matchedRules.filter(match => match.action === 'rewrite').map(match => match.rule).join(', ')}`);
         }
 
-        return true;
+        return result;
     }
 
-    validateImageOptions(options = {}) {
+    validateSeed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+            throw new ValidationError('Invalid seed: Must be an integer between 0 and 4294967295', 'INVALID_OPTION', { field: 'seed' });
+        }
+        return seed;
+    }
+
+    /**
+     * @param {string} mode - Requested enhancement mode, or undefined for the default
+     * @param {string} defaultMode - Mode used when none is requested
+     * @returns {string} none | deterministic | random
+     */
+    validateEnhanceMode(mode, defaultMode = config.gemini.imageOptions.defaults.enhance) {
+        const schema = config.gemini.imageOptions;
+        if (mode === undefined) {
+            return defaultMode;
+        }
+        if (!schema.enhanceModes.includes(mode)) {
+            throw new ValidationError(`Invalid enhance: Must be one of ${schema.enhanceModes.join(', ')}`, 'INVALID_OPTION', { field: 'enhance' });
+        }
+        return mode;
+    }
+
+    /**
+     * Validates the enhancement settings sent to /api/optimize-prompt
+     * @param {Object} body - { enhance, seed }
+     * @returns {Object} { mode, seed }
+     */
+    validateEnhancement({ enhance, seed } = {}) {
+        return {
+            mode: this.validateEnhanceMode(enhance, config.gemini.imageOptions.defaults.optimizeEnhance),
+            ...(seed !== undefined && { seed: this.validateSeed(seed) })
+        };
+    }
+
+    /**
+     * Validates and normalizes generation options
+     * @param {Object} options - Options from the request body
+     * @param {Object} context - { strategyNames } strategies the active pipeline knows; built-ins when omitted
+     * @returns {Object} Validated options
+     */
+    validateImageOptions(options = {}, { strategyNames = builtinStrategyNames } = {}) {
         const validatedOptions = {};
+        const schema = config.gemini.imageOptions;
+
+        if (options === null) {
+            options = {};
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new ValidationError('Invalid options: Must be an object', 'INVALID_OPTIONS');
+        }
         
-        // Validate and normalize image format
-        if (options.format) {
-            const format = options.format.toLowerCase();
-            if (!['jpeg', 'jpg', 'png'].includes(format)) {
-                throw new Error('Invalid format: Must be jpeg/jpg or png');
+        // Delivered format; jpg is accepted for jpeg
+        if (options.format !== undefined) {
+            const format = typeof options.format === 'string' ? options.format.toLowerCase().replace(/^jpg$/, 'jpeg') : null;
+            if (!schema.formats.includes(format)) {
+                throw new ValidationError(`Invalid format: Must be one of ${schema.formats.join(', ')}`, 'INVALID_OPTION', { field: 'format' });
             }
             validatedOptions.format = format;
         } else {
-            validatedOptions.format = 'jpeg'; // Default format
+            validatedOptions.format = schema.defaults.format;
         }
-        
-        // Validate image size (if implemented in the future)
-        if (options.size) {
-            const validSizes = ['small', 'medium', 'large'];
-            if (!validSizes.includes(options.size)) {
-                throw new Error(`Invalid size: Must be one of ${validSizes.join(', ')}`);
+
+        // Resizing: a named size or explicit dimensions. Without either, images keep the model's resolution.
+        if (options.size !== undefined) {
+            const sizes = Object.keys(schema.sizes);
+            if (!sizes.includes(options.size)) {
+                throw new ValidationError(`Invalid size: Must be one of ${sizes.join(', ')}`, 'INVALID_OPTION', { field: 'size' });
+            }
+            if (options.width !== undefined || options.height !== undefined) {
+                throw new ValidationError('Invalid size: Send either size or width/height, not both', 'INVALID_OPTION', { field: 'size' });
             }
             validatedOptions.size = options.size;
+        }
+        for (const field of ['width', 'height']) {
+            if (options[field] !== undefined) {
+                if (!Number.isInteger(options[field]) || options[field] < schema.minDimension || options[field] > schema.maxDimension) {
+                    throw new ValidationError(`Invalid ${field}: Must be an integer between ${schema.minDimension} and ${schema.maxDimension}`, 'INVALID_OPTION', { field });
+                }
+                validatedOptions[field] = options[field];
+            }
+        }
+
+        if (options.thumbnail !== undefined && typeof options.thumbnail !== 'boolean') {
+            throw new ValidationError('Invalid thumbnail: Must be a boolean', 'INVALID_OPTION', { field: 'thumbnail' });
+        }
+        validatedOptions.thumbnail = options.thumbnail === true;
+
+        // A style supplies defaults for the aspect ratio and negative prompt below
+        let style = null;
+        if (options.style !== undefined) {
+            style = getStylePreset(options.style);
+            if (!style) {
+                const styles = listStylePresets().map(preset => preset.id);
+                throw new ValidationError(`Invalid style: Must be one of ${styles.join(', ')}`, 'INVALID_OPTION', { field: 'style' });
+            }
+            validatedOptions.style = style.id;
+        }
+
+        // Aspect ratio supported by Imagen
+        if (options.aspectRatio !== undefined) {
+            if (!schema.aspectRatios.includes(options.aspectRatio)) {
+                throw new ValidationError(`Invalid aspectRatio: Must be one of ${schema.aspectRatios.join(', ')}`, 'INVALID_OPTION', { field: 'aspectRatio' });
+            }
+            validatedOptions.aspectRatio = options.aspectRatio;
+        } else {
+            validatedOptions.aspectRatio = (style && style.aspectRatio) || schema.defaults.aspectRatio;
+        }
+
+        let ownNegativePrompt = '';
+        if (options.negativePrompt !== undefined) {
+            if (typeof options.negativePrompt !== 'string') {
+                throw new ValidationError('Invalid negativePrompt: Must be a string', 'INVALID_OPTION', { field: 'negativePrompt' });
+            }
+            ownNegativePrompt = options.negativePrompt.trim();
+            if (ownNegativePrompt.length > schema.maxNegativePromptLength) {
+                throw new ValidationError(`Invalid negativePrompt: Must be under ${schema.maxNegativePromptLength} characters`, 'INVALID_OPTION', { field: 'negativePrompt' });
+            }
+            if (splitTerms(ownNegativePrompt).length > schema.maxNegativePromptTerms) {
+                throw new ValidationError(`Invalid negativePrompt: Must have at most ${schema.maxNegativePromptTerms} comma-separated terms`, 'INVALID_OPTION', { field: 'negativePrompt' });
+            }
+        }
+
+        const negativePromptMode = options.negativePromptMode !== undefined ? options.negativePromptMode : 'merge';
+        if (!['merge', 'replace'].includes(negativePromptMode)) {
+            throw new ValidationError('Invalid negativePromptMode: Must be merge or replace', 'INVALID_OPTION', { field: 'negativePromptMode' });
+        }
+
+        // 'merge' adds the style's and the deployment's exclusions to the request's own.
+        // The request's terms always fit; lower-priority terms are dropped past the limit.
+        const negativeSources = negativePromptMode === 'replace'
+            ? [ownNegativePrompt]
+            : [ownNegativePrompt, style && style.negativePrompt, config.gemini.negativePrompt.defaults];
+        const merged = mergeNegativePrompts(negativeSources, {
+            maxLength: schema.maxNegativePromptLength,
+            maxTerms: schema.maxNegativePromptTerms
+        });
+        if (merged.dropped.length > 0) {
+            logger.debug(`Dropped negative prompt terms over the limit: ${merged.dropped.join(', ')}`);
+        }
+        if (merged.negativePrompt) {
+            validatedOptions.negativePrompt = merged.negativePrompt;
+        }
+        validatedOptions.negativePromptMode = negativePromptMode;
+
+        if (options.seed !== undefined) {
+            validatedOptions.seed = this.validateSeed(options.seed);
+        }
+        // Only an explicit mode enhances every strategy's prompt; see GeminiService.generateImage
+        if (options.enhance !== undefined) {
+            validatedOptions.enhance = this.validateEnhanceMode(options.enhance);
+        }
+
+        if (options.response !== undefined) {
+            if (!schema.responseFormats.includes(options.response)) {
+                throw new ValidationError(`Invalid response: Must be one of ${schema.responseFormats.join(', ')}`, 'INVALID_OPTION', { field: 'response' });
+            }
+            if (options.response === 'url' && config.storage.backend === 'none') {
+                throw new ValidationError('Invalid response: url needs image storage, which is turned off on this server', 'INVALID_OPTION', { field: 'response' });
+            }
+            validatedOptions.response = options.response;
         } else {
-            validatedOptions.size = 'medium'; // Default size
+            validatedOptions.response = schema.defaults.response;
+        }
+
+        // Details are only written into PNG and JPEG files
+        const canEmbed = schema.metadataFormats.includes(validatedOptions.format);
+        if (options.metadata !== undefined) {
+            if (!schema.metadataModes.includes(options.metadata)) {
+                throw new ValidationError(`Invalid metadata: Must be one of ${schema.metadataModes.join(', ')}`, 'INVALID_OPTION', { field: 'metadata' });
+            }
+            if (options.metadata === 'embed' && !canEmbed) {
+                throw new ValidationError(`Invalid metadata: embed needs ${schema.metadataFormats.join(' or ')} output; use strip with ${validatedOptions.format}`, 'INVALID_OPTION', { field: 'metadata' });
+            }
+            validatedOptions.metadata = options.metadata;
+        } else {
+            // Stored url images are public to anyone with the link, so they don't carry the prompt by default
+            const defaultMode = schema.defaults.metadata || (validatedOptions.response === 'url' ? 'strip' : 'embed');
+            validatedOptions.metadata = canEmbed ? defaultMode : 'strip';
+        }
+
+        // Number of variants to generate; sampleCount is accepted as the Imagen-native alias
+        const count = options.count !== undefined ? options.count : options.sampleCount;
+        if (count !== undefined) {
+            if (!Number.isInteger(count) || count < 1 || count > schema.maxSampleCount) {
+                throw new ValidationError(`Invalid count: Must be an integer between 1 and ${schema.maxSampleCount}`, 'INVALID_OPTION', { field: 'count' });
+            }
+            validatedOptions.count = count;
+        } else {
+            validatedOptions.count = 1;
+        }
+
+        if (options.safetyFilterLevel !== undefined) {
+            if (!schema.safetyFilterLevels.includes(options.safetyFilterLevel)) {
+                throw new ValidationError(`Invalid safetyFilterLevel: Must be one of ${schema.safetyFilterLevels.join(', ')}`, 'INVALID_OPTION', { field: 'safetyFilterLevel' });
+            }
+            validatedOptions.safetyFilterLevel = options.safetyFilterLevel;
+        } else {
+            validatedOptions.safetyFilterLevel = schema.defaults.safetyFilterLevel;
+        }
+
+        if (options.personGeneration !== undefined) {
+            if (!schema.personGeneration.includes(options.personGeneration)) {
+                throw new ValidationError(`Invalid personGeneration: Must be one of ${schema.personGeneration.join(', ')}`, 'INVALID_OPTION', { field: 'personGeneration' });
+            }
+            validatedOptions.personGeneration = options.personGeneration;
+        }
+
+        // What the model is asked for. Defaults to the delivered format when the model can produce it,
+        // and to lossless PNG as the source for other formats.
+        if (options.outputMimeType !== undefined) {
+            if (!schema.outputMimeTypes.includes(options.outputMimeType)) {
+                throw new ValidationError(`Invalid outputMimeType: Must be one of ${schema.outputMimeTypes.join(', ')}`, 'INVALID_OPTION', { field: 'outputMimeType' });
+            }
+            validatedOptions.outputMimeType = options.outputMimeType;
+        } else {
+            validatedOptions.outputMimeType = validatedOptions.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        }
+
+        if (options.compressionQuality !== undefined) {
+            if (validatedOptions.format === 'png') {
+                throw new ValidationError('Invalid compressionQuality: Only supported for jpeg, webp and avif output', 'INVALID_OPTION', { field: 'compressionQuality' });
+            }
+            if (!Number.isInteger(options.compressionQuality) ||
+                options.compressionQuality < 0 ||
+                options.compressionQuality > 100) {
+                throw new ValidationError('Invalid compressionQuality: Must be an integer between 0 and 100', 'INVALID_OPTION', { field: 'compressionQuality' });
+            }
+            validatedOptions.compressionQuality = options.compressionQuality;
+        }
+
+        // Overrides the deployment's strategy pipeline for this request
+        if (options.strategies !== undefined) {
+            const problems = findPipelineProblems(options.strategies, strategyNames);
+            if (problems.length > 0) {
+                throw new ValidationError(`Invalid strategies: ${problems.join('; ')}`, 'INVALID_OPTION', { field: 'strategies' });
+            }
+            validatedOptions.strategies = [...options.strategies];
         }
         
         return validatedOptions;
     }
+
+    /**
+     * Decodes an image sent as base64 or a data URL
+     * @param {*} value - Value from the request body
+     * @param {string} field - Field name, for errors
+     * @returns {Buffer} PNG or JPEG bytes
+     */
+    decodeImage(value, field) {
+        if (typeof value !== 'string' || value.length === 0) {
+            throw new ValidationError(`Invalid ${field}: Must be a base64 PNG or JPEG`, 'INVALID_IMAGE', { field });
+        }
+
+        const data = Buffer.from(value.replace(/^data:[^,]*;base64,/, ''), 'base64');
+        if (!detectFormat(data)) {
+            throw new ValidationError(`Invalid ${field}: Must be a PNG or JPEG`, 'UNSUPPORTED_IMAGE_FORMAT', { field });
+        }
+        return data;
+    }
+
+    /**
+     * Validates the edit-specific fields of an /api/edit request
+     * @param {Object} body - { image, mode, mask, outpaint } from the request body
+     * @returns {Object} { mode, image, mask, outpaint } - image is a Buffer; mask is { image },
+     *   { rectangles } or { auto }, and null when outpainting, which masks its own padding
+     */
+    validateEditRequest({ image, mode, mask, outpaint } = {}) {
+        const schema = config.gemini.edit;
+
+        if (image === undefined) {
+            throw new ValidationError('Image is required', 'MISSING_IMAGE');
+        }
+        const validated = { mode, image: this.decodeImage(image, 'image'), mask: null, outpaint: null };
+
+        if (!schema.modes.includes(mode)) {
+            throw new ValidationError(`Invalid mode: Must be one of ${schema.modes.join(', ')}`, 'INVALID_OPTION', { field: 'mode' });
+        }
+
+        if (mode === 'outpaint') {
+            if (mask !== undefined) {
+                throw new ValidationError('Invalid mask: outpaint masks the added padding itself', 'INVALID_OPTION', { field: 'mask' });
+            }
+            validated.outpaint = this.validateOutpaint(outpaint);
+            return validated;
+        }
+
+        if (outpaint !== undefined) {
+            throw new ValidationError('Invalid outpaint: Only used with mode outpaint', 'INVALID_OPTION', { field: 'outpaint' });
+        }
+        validated.mask = this.validateMask(mask, mode);
+        return validated;
+    }
+
+    validateMask(mask, mode) {
+        const schema = config.gemini.edit;
+
+        if (mask === undefined) {
+            // A background swap finds the background itself
+            if (mode === 'background-swap') {
+                return { auto: 'background' };
+            }
+            throw new ValidationError(`A mask is required for ${mode}: send mask.image, mask.rectangles or mask.auto`, 'MISSING_MASK');
+        }
+
+        const kinds = mask && typeof mask === 'object' && !Array.isArray(mask)
+            ? ['image', 'rectangles', 'auto'].filter(kind => mask[kind] !== undefined)
+            : [];
+        if (kinds.length !== 1) {
+            throw new ValidationError('Invalid mask: Must be an object with one of image, rectangles or auto', 'INVALID_OPTION', { field: 'mask' });
+        }
+
+        if (mask.image !== undefined) {
+            return { image: this.decodeImage(mask.image, 'mask.image') };
+        }
+
+        if (mask.auto !== undefined) {
+            if (!schema.autoMasks.includes(mask.auto)) {
+                throw new ValidationError(`Invalid mask.auto: Must be one of ${schema.autoMasks.join(', ')}`, 'INVALID_OPTION', { field: 'mask.auto' });
+            }
+            return { auto: mask.auto };
+        }
+
+        const { rectangles } = mask;
+        if (!Array.isArray(rectangles) || rectangles.length === 0 || rectangles.length > schema.maxRectangles) {
+            throw new ValidationError(`Invalid mask.rectangles: Must be a list of 1 to ${schema.maxRectangles} rectangles`, 'INVALID_OPTION', { field: 'mask.rectangles' });
+        }
+        return {
+            rectangles: rectangles.map(rectangle => {
+                const valid = rectangle && typeof rectangle === 'object' &&
+                    ['x', 'y'].every(key => Number.isInteger(rectangle[key]) && rectangle[key] >= 0) &&
+                    ['width', 'height'].every(key => Number.isInteger(rectangle[key]) && rectangle[key] >= 1);
+                if (!valid) {
+                    throw new ValidationError('Invalid mask.rectangles: Each must have integer x and y of 0 or more, and width and height of 1 or more', 'INVALID_OPTION', { field: 'mask.rectangles' });
+                }
+                return { x: rectangle.x, y: rectangle.y, width: rectangle.width, height: rectangle.height };
+            })
+        };
+    }
+
+    /**
+     * @param {Object} outpaint - { top, right, bottom, left } pixels to add; missing sides add none
+     * @returns {Object} Padding for every side
+     */
+    validateOutpaint(outpaint) {
+        if (!outpaint || typeof outpaint !== 'object' || Array.isArray(outpaint)) {
+            throw new ValidationError('Invalid outpaint: Must be an object with top, right, bottom and/or left padding in pixels', 'INVALID_OPTION', { field: 'outpaint' });
+        }
+
+        const padding = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            const value = outpaint[side] !== undefined ? outpaint[side] : 0;
+            if (!Number.isInteger(value) || value < 0) {
+                throw new ValidationError(`Invalid outpaint.${side}: Must be an integer of 0 or more`, 'INVALID_OPTION', { field: `outpaint.${side}` });
+            }
+            padding[side] = value;
+        }
+
+        if (Object.values(padding).every(value => value === 0)) {
+            throw new ValidationError('Invalid outpaint: Pad at least one side', 'INVALID_OPTION', { field: 'outpaint' });
+        }
+        return padding;
+    }
 }
 
 module.exports = new ValidationService();
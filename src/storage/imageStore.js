@@ -0,0 +1,52 @@
+/**
+ * Base class for generated-image storage.
+ *
+ * Stores keep an image's bytes together with its metadata under an ID chosen
+ * by the caller. All operations are async so networked stores fit the same shape.
+ */
+class ImageStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Saves an image
+     * @param {string} id - Image ID
+     * @param {Buffer} data - Image bytes
+     * @param {Object} metadata - { mimeType, size, etag, createdAt, userId }
+     * @returns {Promise<void>}
+     */
+    async put(id, data, metadata) {
+        throw new Error(`${this.name} store does not implement put`);
+    }
+
+    /**
+     * Reads an image
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>} { data, metadata }, or null if there is no such image
+     */
+    async get(id) {
+        throw new Error(`${this.name} store does not implement get`);
+    }
+
+    /**
+     * Deletes an image; deleting a missing image is not an error
+     * @param {string} id - Image ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        throw new Error(`${this.name} store does not implement delete`);
+    }
+
+    /**
+     * Lists every stored image
+     * @returns {Promise<Array>} [{ id, lastModified }] - lastModified is a Date
+     */
+    async list() {
+        throw new Error(`${this.name} store does not implement list`);
+    }
+
+    async close() {}
+}
+
+module.exports = ImageStore;
@@ -0,0 +1,26 @@
+const LocalStore = require('./localStore');
+const S3Store = require('./s3Store');
+
+const stores = {
+    local: LocalStore,
+    s3: S3Store,
+};
+
+/**
+ * Instantiates the image store selected in config
+ * @param {string} name - Store name (local | s3)
+ * @param {Object} options - Store constructor options
+ * @returns {ImageStore} Store instance
+ */
+const createImageStore = (name, options = {}) => {
+    const Store = stores[name];
+    if (!Store) {
+        throw new Error(`Unknown image storage backend: ${name}. Expected one of: ${Object.keys(stores).join(', ')}`);
+    }
+    return new Store(options);
+};
+
+module.exports = {
+    storageBackends: Object.keys(stores),
+    createImageStore,
+};
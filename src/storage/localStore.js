@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const ImageStore = require('./imageStore');
+const { StorageError } = require('../utils/errors');
+
+// Errors that mean the directory can't be written, rather than a passing failure
+const NOT_WRITABLE_CODES = ['EACCES', 'EPERM', 'EROFS', 'ENOTDIR', 'EEXIST'];
+
+/**
+ * Stores images as files in a local directory: <id> holds the bytes and
+ * <id>.json the metadata. Suits single-instance deployments and development.
+ * The directory is created on the first save, so the server starts even where
+ * it can't be written.
+ */
+class LocalStore extends ImageStore {
+    constructor({ dir } = {}) {
+        super('local');
+        this.dir = path.resolve(dir);
+    }
+
+    filePath(id) {
+        return path.join(this.dir, id);
+    }
+
+    /**
+     * Writes to a temp file first so a crash never leaves a truncated file behind
+     * @param {string} file - Destination
+     * @param {Buffer|string} contents - File contents
+     */
+    async writeAtomically(file, contents) {
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, contents);
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    async put(id, data, metadata) {
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            // Bytes first: metadata is what makes an image visible to get()
+            await this.writeAtomically(this.filePath(id), data);
+            await this.writeAtomically(`${this.filePath(id)}.json`, JSON.stringify(metadata));
+        } catch (error) {
+            if (NOT_WRITABLE_CODES.includes(error.code)) {
+                throw new StorageError(`Image directory ${this.dir} is not writable (${error.code}). ` +
+                    'Set IMAGE_STORAGE_DIR to a writable directory, or IMAGE_STORAGE=none to turn storage off', { backend: this.name });
+            }
+            throw error;
+        }
+    }
+
+    async get(id) {
+        let metadata;
+        try {
+            metadata = JSON.parse(await fs.promises.readFile(`${this.filePath(id)}.json`, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        return { data: await fs.promises.readFile(this.filePath(id)), metadata };
+    }
+
+    async delete(id) {
+        await fs.promises.rm(`${this.filePath(id)}.json`, { force: true });
+        await fs.promises.rm(this.filePath(id), { force: true });
+    }
+
+    // An image's age is that of its metadata file, the last thing put() writes
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const images = await Promise.all(names.filter(name => name.endsWith('.json')).map(async name => {
+            try {
+                const { mtime } = await fs.promises.stat(path.join(this.dir, name));
+                return { id: name.slice(0, -'.json'.length), lastModified: mtime };
+            } catch (error) {
+                // Deleted since the directory was read
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        }));
+        return images.filter(Boolean);
+    }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * RFC 3986 encoding, which is what SigV4 canonical requests use
+ * @param {string} value - Path segment or query component
+ * @returns {string} Encoded value
+ */
+const uriEncode = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Signs an S3 request with AWS Signature Version 4, the scheme every
+ * S3-compatible server (AWS, MinIO, R2, Ceph...) accepts
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL; its path must already be URI-encoded
+ * @param {Object} request.headers - Headers to sign, besides host and the x-amz-* ones added here
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+const signRequest = ({ method, url, headers = {}, payloadHash }, { accessKeyId, secretAccessKey, region }, now = new Date()) => {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signedHeaders = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    for (const [name, value] of Object.entries(headers)) {
+        signedHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+
+    const headerNames = Object.keys(signedHeaders).sort();
+    const canonicalQuery = [...url.searchParams]
+        .map(([key, value]) => `${uriEncode(key)}=${uriEncode(value)}`)
+        .sort()
+        .join('&');
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+        headerNames.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = [dateStamp, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    };
+};
+
+module.exports = {
+    sha256Hex,
+    uriEncode,
+    signRequest,
+};
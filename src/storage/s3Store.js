@@ -0,0 +1,182 @@
+const fetch = require('node-fetch');
+const ImageStore = require('./imageStore');
+const { StorageError } = require('../utils/errors');
+const { sha256Hex, uriEncode, signRequest } = require('./s3Signature');
+
+const METADATA_PREFIX = 'x-amz-meta-';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+
+/**
+ * Stores images in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, Ceph
+ * or a local stand-in). Metadata travels as x-amz-meta-* object headers.
+ */
+class S3Store extends ImageStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - e.g. http://localhost:9000; defaults to AWS for the region
+     * @param {string} options.region - Signing region
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.accessKeyId - Access key
+     * @param {string} options.secretAccessKey - Secret key
+     * @param {string} options.prefix - Prepended to every object key
+     * @param {boolean} options.forcePathStyle - Address the bucket as /<bucket>/<key> instead of <bucket>.<host>
+     */
+    constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '', forcePathStyle = true } = {}) {
+        super('s3');
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.forcePathStyle = forcePathStyle;
+        this.credentials = { accessKeyId, secretAccessKey, region };
+    }
+
+    bucketUrl() {
+        const url = new URL(this.endpoint.href);
+        if (this.forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = '/';
+        }
+        return url;
+    }
+
+    objectUrl(id) {
+        const key = `${this.prefix}${id}`.split('/').map(uriEncode).join('/');
+        const url = this.bucketUrl();
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/${key}`;
+        return url;
+    }
+
+    /**
+     * Sends a signed request for an object
+     * @param {string} method - HTTP method
+     * @param {string} id - Image ID
+     * @param {Object} options - { body, headers }
+     * @returns {Promise<Response>} The response
+     */
+    async request(method, id, options) {
+        return this.send(method, this.objectUrl(id), options);
+    }
+
+    /**
+     * Sends a signed request
+     * @param {string} method - HTTP method
+     * @param {URL} url - Bucket or object URL
+     * @param {Object} options - { body, headers }
+     * @returns {Promise<Response>} The response
+     */
+    async send(method, url, { body, headers = {} } = {}) {
+        const signedHeaders = signRequest({
+            method,
+            url,
+            headers,
+            payloadHash: sha256Hex(body || '')
+        }, this.credentials);
+
+        try {
+            return await fetch(url.href, { method, headers: signedHeaders, body });
+        } catch (error) {
+            throw new StorageError(`S3 ${method} failed: ${error.message}`, { backend: this.name });
+        }
+    }
+
+    /**
+     * @param {Response} response - S3 response that wasn't expected
+     * @param {string} method - HTTP method, for the message
+     * @returns {StorageError} Error carrying S3's status and error code
+     */
+    async toStorageError(response, method) {
+        const text = await response.text();
+        const code = /<Code>([^<]*)<\/Code>/.exec(text);
+        return new StorageError(`S3 ${method} failed with status ${response.status}${code ? ` (${code[1]})` : ''}`, {
+            backend: this.name,
+            status: response.status
+        });
+    }
+
+    async put(id, data, metadata) {
+        const headers = {
+            'content-type': metadata.mimeType,
+            'content-length': data.length
+        };
+        for (const [name, value] of Object.entries(metadata)) {
+            if (name !== 'mimeType' && name !== 'size' && value !== null && value !== undefined) {
+                headers[`${METADATA_PREFIX}${name.toLowerCase()}`] = value;
+            }
+        }
+
+        const response = await this.request('PUT', id, { body: data, headers });
+        if (!response.ok) {
+            throw await this.toStorageError(response, 'PUT');
+        }
+    }
+
+    async get(id) {
+        const response = await this.request('GET', id);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw await this.toStorageError(response, 'GET');
+        }
+
+        const data = await response.buffer();
+        return {
+            data,
+            metadata: {
+                mimeType: response.headers.get('content-type'),
+                size: data.length,
+                etag: response.headers.get(`${METADATA_PREFIX}etag`),
+                createdAt: response.headers.get(`${METADATA_PREFIX}createdat`),
+                userId: response.headers.get(`${METADATA_PREFIX}userid`)
+            }
+        };
+    }
+
+    async delete(id) {
+        const response = await this.request('DELETE', id);
+        if (!response.ok && response.status !== 404) {
+            throw await this.toStorageError(response, 'DELETE');
+        }
+    }
+
+    // ListObjectsV2, a page of up to 1000 keys at a time
+    async list() {
+        const images = [];
+        let continuationToken = null;
+        do {
+            const url = this.bucketUrl();
+            url.searchParams.set('list-type', '2');
+            url.searchParams.set('prefix', this.prefix);
+            if (continuationToken) {
+                url.searchParams.set('continuation-token', continuationToken);
+            }
+
+            const response = await this.send('GET', url);
+            if (!response.ok) {
+                throw await this.toStorageError(response, 'LIST');
+            }
+
+            const text = await response.text();
+            for (const [, contents] of text.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = unescapeXml(/<Key>([^<]*)<\/Key>/.exec(contents)[1]);
+                const lastModified = /<LastModified>([^<]*)<\/LastModified>/.exec(contents)[1];
+                images.push({ id: key.slice(this.prefix.length), lastModified: new Date(lastModified) });
+            }
+
+            const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(text);
+            continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(text) && next ? unescapeXml(next[1]) : null;
+        } while (continuationToken);
+
+        return images;
+    }
+}
+
+module.exports = S3Store;
@@ -0,0 +1,93 @@
+// Subjects swapped out by ultra_abstract so the model isn't asked to depict people
+const PEOPLE_PATTERN = /\b(?:child|children|kid|kids|boy|girl|baby|babies|infant|toddler|person|people|human)\b/gi;
+
+// Placeholder replaced with the user's prompt in strategy templates
+const PROMPT_PLACEHOLDER = '{prompt}';
+
+/**
+ * Fills a strategy template with the user's prompt
+ * @param {string} template - Template containing {prompt}
+ * @param {string} prompt - User prompt
+ * @returns {string} Prompt to send to the model
+ */
+const renderTemplate = (template, prompt) => template.split(PROMPT_PLACEHOLDER).join(prompt);
+
+/**
+ * Lists what is wrong with a strategy template
+ * @param {string} template - Template text
+ * @returns {Array} Problems found; empty when the template is usable
+ */
+const findTemplateProblems = (template) => {
+    if (typeof template !== 'string' || !template.trim()) {
+        return ['must be a non-empty string'];
+    }
+
+    const problems = [];
+    if (!template.includes(PROMPT_PLACEHOLDER)) {
+        problems.push(`must contain ${PROMPT_PLACEHOLDER}`);
+    }
+    const unknown = (template.match(/\{[^{}]*\}/g) || []).filter(token => token !== PROMPT_PLACEHOLDER);
+    if (unknown.length > 0) {
+        problems.push(`unknown placeholders ${[...new Set(unknown)].join(', ')}`);
+    }
+    return problems;
+};
+
+/**
+ * Builds a transform that fills a template
+ * @param {string} template - Template containing {prompt}
+ * @returns {Function} async (prompt) => { transformed }
+ */
+const templateTransform = (template) => async (prompt) => ({
+    transformed: renderTemplate(template, prompt)
+});
+
+/**
+ * Strategies available without a pipeline file. Each transform takes the user's
+ * prompt and a context ({ promptGuard, enhancement, tenant }) and resolves with
+ * { transformed, method?, issues?, enhancers? }; method defaults to the strategy name.
+ */
+const builtinStrategies = {
+    // The prompt exactly as the user wrote it
+    original: {
+        description: 'Use the prompt unchanged',
+        transform: templateTransform(PROMPT_PLACEHOLDER)
+    },
+
+    // Rewrites prompts with detected issues through the text model, or rules without one
+    ai_transformation: {
+        description: 'Rewrite prompts with detected policy issues using the text model',
+        transform: async (prompt, { promptGuard, enhancement, tenant }) => promptGuard.transformForPolicy(prompt, enhancement, { tenant })
+    },
+
+    cultural_enhancement: {
+        description: 'Frame the prompt as authentic documentary portrait photography',
+        transform: templateTransform('High-quality portrait photograph, {prompt}, natural lighting, authentic cultural setting, warm atmosphere, photojournalistic style, documentary photography, human interest story, real life moment, candid expression, beautiful natural scene')
+    },
+
+    artistic_interpretation: {
+        description: 'Reinterpret the prompt as a fine art painting',
+        transform: templateTransform('Fine art portrait, {prompt}, painted in warm earth tones, soft natural lighting, cultural authenticity, dignified representation, masterpiece quality, museum-worthy composition, human warmth and connection, timeless beauty')
+    },
+
+    documentary_style: {
+        description: 'Frame the prompt as respectful documentary photography',
+        transform: templateTransform('Documentary style photograph, {prompt}, natural environment, authentic moment, cultural sensitivity, respectful portrayal, real life scene, journalistic quality, human story, genuine expression, meaningful composition')
+    },
+
+    // Last resort: abstract art with human subjects removed
+    ultra_abstract: {
+        description: 'Abstract digital art inspired by the prompt, without human subjects',
+        transform: async (prompt) => ({
+            transformed: `abstract artistic composition inspired by the concept of: ${prompt.replace(PEOPLE_PATTERN, 'element').substring(0, 50)}, digital art style`
+        })
+    },
+};
+
+module.exports = {
+    PROMPT_PLACEHOLDER,
+    builtinStrategies,
+    renderTemplate,
+    findTemplateProblems,
+    templateTransform,
+};
@@ -0,0 +1,31 @@
+const { builtinStrategies, renderTemplate } = require('./builtinStrategies');
+const { readPipelineFile, compilePipelineDefinition } = require('./pipelineDefinition');
+const { StrategyRegistry, findPipelineProblems } = require('./strategyRegistry');
+
+/**
+ * Creates the strategy registry described by config and loads its pipeline
+ * @param {Object} geminiConfig - config.gemini
+ * @returns {StrategyRegistry} Loaded registry, watching its file when hot reload is on
+ */
+const createStrategyRegistry = (geminiConfig) => {
+    const registry = new StrategyRegistry({
+        file: geminiConfig.strategyPipelineFile,
+        defaultPipeline: geminiConfig.strategyPipeline,
+        models: geminiConfig.imageModels,
+        reloadIntervalMs: geminiConfig.strategyPipelineReloadMs
+    });
+    registry.load();
+    registry.watch();
+    return registry;
+};
+
+module.exports = {
+    builtinStrategies,
+    builtinStrategyNames: Object.keys(builtinStrategies),
+    renderTemplate,
+    readPipelineFile,
+    compilePipelineDefinition,
+    StrategyRegistry,
+    findPipelineProblems,
+    createStrategyRegistry,
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('../utils/errors');
+const { ERROR_CLASSES } = require('../resilience');
+const { builtinStrategies, findTemplateProblems, templateTransform } = require('./builtinStrategies');
+
+const SUPPORTED_VERSIONS = [1];
+const ERROR_CLASS_NAMES = Object.values(ERROR_CLASSES);
+const TOP_LEVEL_KEYS = ['version', 'models', 'advanceOn', 'steps'];
+const STEP_KEYS = ['name', 'description', 'strategy', 'template', 'models', 'advanceOn'];
+const STEP_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Reads a pipeline file; .yaml/.yml files are parsed as YAML, anything else as JSON
+ * @param {string} filePath - Pipeline file
+ * @returns {Object} Parsed definition
+ */
+const readPipelineFile = (filePath) => {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigurationError(`Strategy pipeline file ${filePath} could not be read: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            // Required lazily so JSON-only deployments don't need the package loaded
+            const yaml = require('js-yaml');
+            return yaml.load(text, { schema: yaml.JSON_SCHEMA });
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ConfigurationError(`Strategy pipeline file ${filePath} could not be parsed: ${error.message}`);
+    }
+};
+
+/**
+ * Checks a model list
+ * @param {*} models - Value from the definition
+ * @param {string} where - Location for messages
+ * @param {Array} problems - Collected problems
+ */
+const checkModels = (models, where, problems) => {
+    if (models === undefined) {
+        return;
+    }
+    if (!Array.isArray(models) || models.length === 0 ||
+        models.some(model => typeof model !== 'string' || !model.trim())) {
+        problems.push(`${where}.models must be a non-empty array of model names`);
+    }
+};
+
+/**
+ * Checks an advanceOn list
+ * @param {*} advanceOn - Value from the definition
+ * @param {string} where - Location for messages
+ * @param {Array} problems - Collected problems
+ */
+const checkAdvanceOn = (advanceOn, where, problems) => {
+    if (advanceOn === undefined) {
+        return;
+    }
+    if (!Array.isArray(advanceOn) || advanceOn.some(name => !ERROR_CLASS_NAMES.includes(name))) {
+        problems.push(`${where}.advanceOn must be an array of error classes: ${ERROR_CLASS_NAMES.join(', ')}`);
+    }
+};
+
+/**
+ * Checks unexpected keys, which are usually typos
+ * @param {Object} object - Value from the definition
+ * @param {Array} allowed - Known keys
+ * @param {string} where - Location for messages
+ * @param {Array} problems - Collected problems
+ */
+const checkKeys = (object, allowed, where, problems) => {
+    const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        problems.push(`${where} has unknown keys: ${unknown.join(', ')}`);
+    }
+};
+
+/**
+ * Validates a pipeline definition and reports every problem at once
+ * @param {Object} definition - Parsed pipeline file
+ * @param {string} origin - Where it came from, for diagnostics
+ * @param {Object} defaults - { models, advanceOn } used when the file leaves them out
+ * @returns {Array} Steps: [{ name, description, transform, models, advanceOn }] in order
+ */
+const compilePipelineDefinition = (definition, origin, defaults) => {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new ConfigurationError(`Strategy pipeline from ${origin} must be an object`);
+    }
+
+    const problems = [];
+    checkKeys(definition, TOP_LEVEL_KEYS, 'pipeline', problems);
+    if (!SUPPORTED_VERSIONS.includes(definition.version)) {
+        problems.push(`version must be one of: ${SUPPORTED_VERSIONS.join(', ')}`);
+    }
+    checkModels(definition.models, 'pipeline', problems);
+    checkAdvanceOn(definition.advanceOn, 'pipeline', problems);
+
+    const steps = Array.isArray(definition.steps) ? definition.steps : [];
+    if (steps.length === 0) {
+        problems.push('steps must be a non-empty array');
+    }
+
+    const seen = new Set();
+    steps.forEach((step, index) => {
+        const where = `steps[${index}]`;
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+
+        checkKeys(step, STEP_KEYS, where, problems);
+
+        const name = step.name !== undefined ? step.name : step.strategy;
+        if (typeof name !== 'string' || !STEP_NAME_PATTERN.test(name)) {
+            problems.push(`${where}.name must be lowercase letters, digits, _ or -, starting with a letter`);
+        } else if (seen.has(name)) {
+            problems.push(`${where}.name "${name}" is used by an earlier step`);
+        } else {
+            seen.add(name);
+        }
+
+        if ((step.strategy === undefined) === (step.template === undefined)) {
+            problems.push(`${where} must set exactly one of strategy or template`);
+        } else if (step.strategy !== undefined && !builtinStrategies[step.strategy]) {
+            problems.push(`${where}.strategy must be one of: ${Object.keys(builtinStrategies).join(', ')}`);
+        } else if (step.template !== undefined) {
+            for (const problem of findTemplateProblems(step.template)) {
+                problems.push(`${where}.template ${problem}`);
+            }
+        }
+
+        if (step.description !== undefined && typeof step.description !== 'string') {
+            problems.push(`${where}.description must be a string`);
+        }
+        checkModels(step.models, where, problems);
+        checkAdvanceOn(step.advanceOn, where, problems);
+    });
+
+    if (problems.length > 0) {
+        throw new ConfigurationError(`Strategy pipeline from ${origin} is invalid: ${problems.join('; ')}`);
+    }
+
+    return steps.map(step => {
+        const builtin = builtinStrategies[step.strategy];
+        return {
+            name: step.name || step.strategy,
+            description: step.description || (builtin ? builtin.description : 'Template strategy'),
+            transform: builtin ? builtin.transform : templateTransform(step.template),
+            models: step.models || definition.models || defaults.models,
+            advanceOn: step.advanceOn || definition.advanceOn || defaults.advanceOn
+        };
+    });
+};
+
+module.exports = {
+    ERROR_CLASS_NAMES,
+    readPipelineFile,
+    compilePipelineDefinition,
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const { logger } = require('../utils/logger');
+const { ConfigurationError } = require('../utils/errors');
+const { builtinStrategies } = require('./builtinStrategies');
+const { ERROR_CLASS_NAMES, readPipelineFile, compilePipelineDefinition } = require('./pipelineDefinition');
+
+/**
+ * Holds the active strategy pipeline. Without a file the pipeline is a list of
+ * built-in strategy names; with one, the file is watched and reloaded on change,
+ * keeping the last valid pipeline when an edit doesn't validate.
+ */
+class StrategyRegistry {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Pipeline file (JSON or YAML), or empty for built-ins
+     * @param {Array} options.defaultPipeline - Built-in strategy names used without a file
+     * @param {Array} options.models - Models tried by steps that don't list their own
+     * @param {number} options.reloadIntervalMs - How often to check the file; 0 disables hot reload
+     */
+    constructor({ file, defaultPipeline, models, reloadIntervalMs = 0 }) {
+        this.file = file || null;
+        this.defaultPipeline = defaultPipeline;
+        this.defaults = { models, advanceOn: ERROR_CLASS_NAMES };
+        this.reloadIntervalMs = reloadIntervalMs;
+        this.steps = [];
+        this.loadedAt = null;
+        this.lastReloadError = null;
+        this.onFileChange = null;
+    }
+
+    /**
+     * Loads the pipeline; a bad pipeline throws so startup fails loudly
+     */
+    load() {
+        this.steps = this.file ? this.compileFile() : this.compileBuiltins();
+        this.loadedAt = new Date();
+        this.lastReloadError = null;
+        logger.info(`Strategy pipeline: ${this.steps.map(step => step.name).join(' -> ')} (${this.file || 'built-in'})`);
+    }
+
+    compileFile() {
+        return compilePipelineDefinition(readPipelineFile(this.file), this.file, this.defaults);
+    }
+
+    compileBuiltins() {
+        const problems = findPipelineProblems(this.defaultPipeline, Object.keys(builtinStrategies));
+        if (problems.length > 0) {
+            throw new ConfigurationError(`Invalid strategy pipeline: ${problems.join('; ')}`);
+        }
+        return this.defaultPipeline.map(name => ({
+            name,
+            ...builtinStrategies[name],
+            ...this.defaults
+        }));
+    }
+
+    /**
+     * Reloads the file, keeping the current pipeline if the new one is invalid
+     * @returns {boolean} Whether the new pipeline was applied
+     */
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            this.lastReloadError = { message: error.message, at: new Date().toISOString() };
+            logger.error(`Strategy pipeline reload failed, keeping the previous pipeline: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Starts polling the pipeline file for changes
+     */
+    watch() {
+        if (!this.file || !this.reloadIntervalMs || this.onFileChange) {
+            return;
+        }
+
+        this.onFileChange = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                logger.info(`Strategy pipeline file ${this.file} changed, reloading`);
+                this.reload();
+            }
+        };
+        // Polling also sees edits made through symlinks, e.g. mounted ConfigMaps
+        fs.watchFile(this.file, { interval: this.reloadIntervalMs, persistent: false }, this.onFileChange);
+    }
+
+    stop() {
+        if (this.onFileChange) {
+            fs.unwatchFile(this.file, this.onFileChange);
+            this.onFileChange = null;
+        }
+    }
+
+    /**
+     * @returns {Object} Every strategy a request may name: built-ins, then pipeline steps
+     */
+    getStrategies() {
+        const strategies = {};
+        for (const [name, strategy] of Object.entries(builtinStrategies)) {
+            strategies[name] = { name, ...strategy, ...this.defaults };
+        }
+        for (const step of this.steps) {
+            strategies[step.name] = step;
+        }
+        return strategies;
+    }
+
+    getStrategyNames() {
+        return Object.keys(this.getStrategies());
+    }
+
+    /**
+     * Resolves the steps to run
+     * @param {Array} names - Strategy names requested by the caller, or undefined for the active pipeline
+     * @returns {Array} Steps in order
+     */
+    getPipeline(names) {
+        if (!names) {
+            return this.steps;
+        }
+
+        const strategies = this.getStrategies();
+        return names.map(name => strategies[name]);
+    }
+
+    getStatus() {
+        return {
+            source: this.file || 'built-in',
+            steps: this.steps.map(step => ({
+                name: step.name,
+                description: step.description,
+                models: step.models,
+                advanceOn: step.advanceOn
+            })),
+            loadedAt: this.loadedAt ? this.loadedAt.toISOString() : null,
+            hotReload: Boolean(this.onFileChange),
+            lastReloadError: this.lastReloadError
+        };
+    }
+}
+
+/**
+ * Checks a list of strategy names
+ * @param {Array} names - Strategy names
+ * @param {Array} available - Names that exist
+ * @returns {Array} Problems found; empty when the list is valid
+ */
+const findPipelineProblems = (names, available) => {
+    if (!Array.isArray(names) || names.length === 0) {
+        return ['must be a non-empty array of strategy names'];
+    }
+
+    const problems = [];
+    const unknown = names.filter(name => !available.includes(name));
+    if (unknown.length > 0) {
+        problems.push(`unknown strategies: ${unknown.join(', ')}. Expected any of: ${available.join(', ')}`);
+    }
+    if (new Set(names).size !== names.length) {
+        problems.push('strategies must not repeat');
+    }
+    return problems;
+};
+
+module.exports = {
+    StrategyRegistry,
+    findPipelineProblems,
+};
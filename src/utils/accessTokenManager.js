@@ -0,0 +1,143 @@
+const { logger } = require('./logger');
+const { ServiceAuthenticationError, PermissionError } = require('./errors');
+
+// Assumed lifetime when the auth client doesn't report an expiry
+const DEFAULT_TOKEN_LIFETIME_MS = 3600000;
+
+/**
+ * Caches the Google Cloud access token used for Vertex AI calls.
+ * Tokens are reused until refreshMarginMs before expiry, refreshed in the
+ * background ahead of that point, and concurrent refreshes share one request.
+ */
+class AccessTokenManager {
+    constructor(auth, { refreshMarginMs = 300000 } = {}) {
+        this.auth = auth;
+        this.refreshMarginMs = refreshMarginMs;
+
+        this.token = null;
+        this.obtainedAt = null;
+        this.expiresAt = null;
+        this.pendingRefresh = null;
+        this.refreshTimer = null;
+        this.refreshCount = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Returns a valid access token, fetching one only when the cache is empty or stale
+     * @returns {Promise<string>} Access token
+     */
+    async getToken() {
+        if (this.token && Date.now() < this.expiresAt - this.refreshMarginMs) {
+            return this.token;
+        }
+
+        // Inside the margin the cached token still works; refresh without waiting
+        if (this.token && Date.now() < this.expiresAt) {
+            this.refresh().catch(() => {});
+            return this.token;
+        }
+
+        return this.refresh();
+    }
+
+    /**
+     * Fetches a new token. Callers arriving while a refresh is in flight share it.
+     * @returns {Promise<string>} Access token
+     */
+    refresh() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.fetchToken().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    async fetchToken() {
+        try {
+            const client = await this.auth.getClient();
+            const { token } = await client.getAccessToken();
+
+            if (!token) {
+                throw new ServiceAuthenticationError('No access token received');
+            }
+
+            const expiryDate = client.credentials && client.credentials.expiry_date;
+            this.token = token;
+            this.obtainedAt = Date.now();
+            this.expiresAt = expiryDate || this.obtainedAt + DEFAULT_TOKEN_LIFETIME_MS;
+            this.refreshCount++;
+            this.lastError = null;
+            this.scheduleRefresh();
+
+            logger.info(`Access token refreshed; expires at ${new Date(this.expiresAt).toISOString()}`);
+            return token;
+        } catch (error) {
+            logger.error('Failed to obtain access token:', error.message);
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+            throw this.toAuthError(error);
+        }
+    }
+
+    // Maps google-auth-library failures onto typed errors with actionable messages
+    toAuthError(error) {
+        if (error instanceof ServiceAuthenticationError) {
+            return error;
+        }
+
+        if (error.message.includes('Invalid JWT Signature')) {
+            return new ServiceAuthenticationError('JWT signature validation failed. Please regenerate your service account key.');
+        } else if (error.message.includes('invalid_grant')) {
+            return new ServiceAuthenticationError('Invalid grant error. Please check your service account permissions.');
+        } else if (error.message.includes('Forbidden')) {
+            return new PermissionError('Access denied. Ensure your service account has required IAM roles.');
+        }
+
+        return new ServiceAuthenticationError(`Authentication failed: ${error.message}`);
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+
+        const delay = Math.max(0, this.expiresAt - this.refreshMarginMs - Date.now());
+        this.refreshTimer = setTimeout(() => {
+            this.refresh().catch(error => {
+                logger.warn('Background token refresh failed:', error.message);
+            });
+        }, delay);
+        this.refreshTimer.unref();
+    }
+
+    /**
+     * Drops the cached token, e.g. after Vertex AI rejected it with a 401
+     */
+    invalidate() {
+        this.token = null;
+        this.expiresAt = null;
+        clearTimeout(this.refreshTimer);
+    }
+
+    /**
+     * @returns {Object} Token age and expiry for health checks; never includes the token
+     */
+    getStatus() {
+        const now = Date.now();
+        return {
+            cached: Boolean(this.token),
+            obtainedAt: this.obtainedAt ? new Date(this.obtainedAt).toISOString() : null,
+            expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null,
+            ageSeconds: this.obtainedAt ? Math.round((now - this.obtainedAt) / 1000) : null,
+            expiresInSeconds: this.expiresAt ? Math.round((this.expiresAt - now) / 1000) : null,
+            refreshing: Boolean(this.pendingRefresh),
+            refreshCount: this.refreshCount,
+            lastError: this.lastError
+        };
+    }
+
+    stop() {
+        clearTimeout(this.refreshTimer);
+    }
+}
+
+module.exports = AccessTokenManager;
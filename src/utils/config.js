@@ -7,31 +7,259 @@ const config = {
     google: {
         projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
         region: process.env.GOOGLE_CLOUD_REGION,
+        // Path to a key file
         credentials: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+        credentialsJson: process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON,
+        credentialsBase64: process.env.GOOGLE_APPLICATION_CREDENTIALS_BASE64,
+        // json | base64 | file | adc; 'auto' uses the first one configured, then adc
+        credentialsSource: process.env.GOOGLE_CREDENTIALS_SOURCE || 'auto',
     },
     app: {
+        name: 'AI Image Generation API',
+        version: '2.0.0',
         port: process.env.PORT || 3000,
         environment: process.env.NODE_ENV || 'development',
         logLevel: process.env.LOG_LEVEL || 'info',
+        // Upper bound for a synchronous /api/generate request; use /api/jobs for longer work
+        generationTimeoutMs: parseInt(process.env.GENERATION_TIMEOUT_MS) || 120000,
     },
     rateLimit: {
+        // Defaults for callers without an API key
         maxRequestsPerHour: parseInt(process.env.MAX_REQUESTS_PER_USER_PER_HOUR) || 21,
+        maxRequestsPerDay: parseInt(process.env.MAX_REQUESTS_PER_USER_PER_DAY) || 0, // 0 = no daily cap
         maxConcurrentGenerations: parseInt(process.env.MAX_CONCURRENT_GENERATIONS) || 3,
+        // 'memory' keeps counters per process; 'redis' shares them across instances
+        store: process.env.RATE_LIMIT_STORE || 'memory',
+        redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+        keyPrefix: process.env.RATE_LIMIT_KEY_PREFIX || 'imggen:rl:',
+        // Safety expiry for concurrency slots held by a crashed instance
+        concurrencyTtlMs: 600000,
+    },
+    auth: {
+        // 'optional' lets requests without a key fall back to IP limits; 'required' rejects them
+        mode: process.env.API_KEY_AUTH_MODE || 'optional',
+        keysFile: process.env.API_KEYS_FILE || 'data/api-keys.json',
+        adminKey: process.env.ADMIN_API_KEY,
+        // Quotas given to new keys unless overridden at creation
+        defaultKeyQuotas: {
+            hourly: parseInt(process.env.API_KEY_DEFAULT_HOURLY_QUOTA) || 100,
+            daily: parseInt(process.env.API_KEY_DEFAULT_DAILY_QUOTA) || 1000,
+            concurrent: parseInt(process.env.API_KEY_DEFAULT_CONCURRENCY) || 3,
+        },
+    },
+    templates: {
+        file: process.env.TEMPLATES_FILE || 'data/templates.json',
+        maxTemplates: 500,
+        maxPromptLength: 1000,
+        // Default cap for string variables that don't set maxLength
+        maxVariableLength: 200,
+    },
+    moderation: {
+        // Policy applied to every caller, layered over the built-in rules (JSON or YAML)
+        policyFile: process.env.MODERATION_POLICY_FILE || '',
+        // Directory of <tenant>.json/.yaml files layered over the policy above for keys with that tenant
+        tenantPolicyDir: process.env.MODERATION_POLICY_DIR || '',
+    },
+    storage: {
+        // Where generated images are saved: 'local', 's3' (any S3-compatible server) or 'none'
+        backend: process.env.IMAGE_STORAGE || 'local',
+        local: {
+            dir: process.env.IMAGE_STORAGE_DIR || 'data/images',
+        },
+        s3: {
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            prefix: process.env.S3_PREFIX || 'images/',
+            // MinIO and most self-hosted servers need path-style addressing
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        },
+        // With a secret, image URLs are signed and expire; without one they never do
+        urlSigningSecret: process.env.IMAGE_URL_SIGNING_SECRET,
+        urlTtlSeconds: parseInt(process.env.IMAGE_URL_TTL_SECONDS) || 3600,
+        // Prefix for image URLs in responses, e.g. https://images.example.com; relative when empty
+        publicBaseUrl: (process.env.IMAGE_PUBLIC_BASE_URL || '').replace(/\/$/, ''),
+        // Images no history entry references are deleted this long after they were saved
+        retentionSeconds: parseInt(process.env.IMAGE_RETENTION_SECONDS) || 86400, // 24 hours
+        sweepIntervalMs: 3600000, // how often expired images are looked for
+    },
+    history: {
+        // One JSON file per caller
+        dir: process.env.HISTORY_DIR || 'data/history',
+        // Oldest entries, and their stored images, are deleted beyond this
+        maxEntriesPerUser: parseInt(process.env.HISTORY_MAX_ENTRIES_PER_USER) || 500,
+        defaultPageSize: 20,
+        maxPageSize: 100,
+    },
+    jobs: {
+        concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+        retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 900000, // 15 minutes
+        maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || 100,
+        maxEvents: 100, // progress events kept per job for stream replay
+        heartbeatMs: 15000,
     },
     gemini: {
         projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
         location: process.env.GOOGLE_CLOUD_REGION || 'us-central1',
         
+        // Image backend: 'vertex' calls Imagen, 'mock' renders offline placeholders
+        imageProvider: process.env.IMAGE_PROVIDER || 'vertex',
+        
+        // Per-provider options passed to the provider constructor
+        providers: {
+            vertex: {},
+            mock: {
+                latencyMs: parseInt(process.env.MOCK_PROVIDER_LATENCY_MS) || 0,
+                failModels: (process.env.MOCK_PROVIDER_FAIL_MODELS || '').split(',').filter(Boolean)
+            }
+        },
+        
         // Image generation models in order of preference
         imageModels: [
             'imagegeneration@006',
             'imagegeneration@005',
             'imagegeneration@002'
         ],
+
+        // /api/edit: inpainting, outpainting and background swaps with the Imagen capability model
+        edit: {
+            model: process.env.IMAGE_EDIT_MODEL || 'imagen-3.0-capability-001',
+            modes: ['inpaint-insert', 'inpaint-remove', 'outpaint', 'background-swap'],
+            // Masks the model finds itself, for requests without a mask image or rectangles
+            autoMasks: ['background', 'foreground'],
+            maxRectangles: 20,
+            // Longest side of the image sent to the model, outpaint padding included
+            maxDimension: 4096
+        },
+        
+        // Prompt strategies tried in order until one yields an image (see src/strategies);
+        // requests may override this with options.strategies
+        strategyPipeline: (process.env.GENERATION_STRATEGIES || 'original,cultural_enhancement,artistic_interpretation,documentary_style')
+            .split(',').map(name => name.trim()).filter(Boolean),
+        // JSON or YAML pipeline definition; replaces strategyPipeline when set
+        strategyPipelineFile: process.env.STRATEGY_PIPELINE_FILE,
+        // How often the pipeline file is checked for changes; 0 disables hot reload
+        strategyPipelineReloadMs: process.env.STRATEGY_PIPELINE_RELOAD_MS !== undefined
+            ? parseInt(process.env.STRATEGY_PIPELINE_RELOAD_MS) || 0
+            : 2000,
+        
+        // Cached access tokens are refreshed this long before they expire
+        tokenRefreshMarginMs: parseInt(process.env.TOKEN_REFRESH_MARGIN_MS) || 300000,
+        
+        // Retries and circuit breaking around each image model call
+        resilience: {
+            retry: {
+                maxAttempts: parseInt(process.env.MODEL_RETRY_MAX_ATTEMPTS) || 3,
+                baseDelayMs: parseInt(process.env.MODEL_RETRY_BASE_DELAY_MS) || 500,
+                maxDelayMs: parseInt(process.env.MODEL_RETRY_MAX_DELAY_MS) || 8000,
+                // Retry-After values above this fail over to the next model instead of waiting
+                maxRetryAfterMs: parseInt(process.env.MODEL_RETRY_MAX_RETRY_AFTER_MS) || 10000,
+                // Each attempt is aborted after this long and counts as a retryable failure
+                attemptTimeoutMs: parseInt(process.env.MODEL_ATTEMPT_TIMEOUT_MS) || 60000
+            },
+            circuitBreaker: {
+                failureThreshold: parseInt(process.env.MODEL_CIRCUIT_FAILURE_THRESHOLD) || 5,
+                cooldownMs: parseInt(process.env.MODEL_CIRCUIT_COOLDOWN_MS) || 60000
+            }
+        },
         
         // Text model for prompt transformation
         textModel: 'gemini-2.0-flash-001',
         
+        // Request options accepted by /api/generate and mapped onto the predict parameters
+        imageOptions: {
+            aspectRatios: ['1:1', '9:16', '16:9', '3:4', '4:3'],
+            safetyFilterLevels: ['block_most', 'block_some', 'block_few', 'block_fewest'],
+            personGeneration: ['dont_allow', 'allow_adult', 'allow_all'],
+            outputMimeTypes: ['image/png', 'image/jpeg'],
+            // Formats images are delivered in; the model's output is transcoded when it differs
+            formats: ['png', 'jpeg', 'webp', 'avif'],
+            // Longest edge in pixels for options.size
+            sizes: { small: 512, medium: 1024, large: 2048 },
+            // Bounds for explicit options.width and options.height
+            minDimension: 64,
+            maxDimension: 4096,
+            // Longest edge of thumbnails made with options.thumbnail
+            thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 256,
+            maxSampleCount: 4,
+            maxNegativePromptLength: 500,
+            maxNegativePromptTerms: 40,
+            // How quality descriptors are added when a strategy enhances the prompt
+            enhanceModes: ['none', 'deterministic', 'random'],
+            // 'url' returns links to stored images instead of inline base64
+            responseFormats: ['base64', 'url'],
+            // 'embed' writes the prompt, model, strategy, seed and time into each PNG/JPEG; 'strip' leaves files bare
+            metadataModes: ['embed', 'strip'],
+            // Formats 'embed' can write to; the others default to 'strip'
+            metadataFormats: ['png', 'jpeg'],
+            defaults: {
+                format: process.env.IMAGE_FORMAT_DEFAULT || 'jpeg',
+                aspectRatio: '1:1',
+                safetyFilterLevel: 'block_few',
+                enhance: process.env.PROMPT_ENHANCE_MODE || 'random',
+                // The /api/optimize-prompt fallback has always given the same output for the same prompt
+                optimizeEnhance: 'deterministic',
+                response: process.env.IMAGE_RESPONSE_DEFAULT || 'base64',
+                // Unset: embed in inline images, strip from url ones, whose links anyone can open
+                metadata: process.env.IMAGE_METADATA_DEFAULT || null
+            }
+        },
+        
+        // Exclusions added to every request's negativePrompt unless it sets negativePromptMode: 'replace'
+        negativePrompt: {
+            defaults: process.env.NEGATIVE_PROMPT_DEFAULTS !== undefined
+                ? process.env.NEGATIVE_PROMPT_DEFAULTS
+                : 'text, watermark, logo, signature'
+        },
+        
+        // Named styles selectable with options.style. prefix/suffix wrap the prompt sent
+        // to the model; aspectRatio applies unless the request sets one, and negativePrompt
+        // is merged with the request's (see negativePrompt above).
+        stylePresets: {
+            'product-studio': {
+                name: 'Product Studio',
+                description: 'Clean studio product shot on a seamless background',
+                prefix: 'Professional studio product photograph of',
+                suffix: 'seamless neutral background, softbox lighting, sharp focus, high detail, commercial catalog quality',
+                negativePrompt: 'clutter, busy background, text, watermark, harsh shadows',
+                aspectRatio: '1:1'
+            },
+            documentary: {
+                name: 'Documentary',
+                description: 'Candid documentary photography in natural light',
+                prefix: 'Documentary photograph,',
+                suffix: 'natural light, candid moment, authentic setting, photojournalistic style',
+                negativePrompt: 'posed, artificial lighting, studio backdrop, text, watermark',
+                aspectRatio: '4:3'
+            },
+            watercolor: {
+                name: 'Watercolor',
+                description: 'Soft watercolor painting on textured paper',
+                prefix: 'Watercolor painting of',
+                suffix: 'soft washes of color, visible paper texture, gentle bleeding edges, hand-painted look',
+                negativePrompt: 'photorealistic, hard edges, 3d render, text',
+                aspectRatio: '3:4'
+            },
+            'flat-illustration': {
+                name: 'Flat Illustration',
+                description: 'Flat vector illustration with a limited palette',
+                prefix: 'Flat vector illustration of',
+                suffix: 'simple geometric shapes, limited color palette, clean lines, no gradients',
+                negativePrompt: 'photorealistic, texture, noise, shading, 3d',
+                aspectRatio: '1:1'
+            },
+            cinematic: {
+                name: 'Cinematic',
+                description: 'Widescreen film still with dramatic lighting',
+                prefix: 'Cinematic film still of',
+                suffix: 'dramatic lighting, shallow depth of field, anamorphic widescreen composition, color graded',
+                negativePrompt: 'flat lighting, snapshot, text, watermark',
+                aspectRatio: '16:9'
+            }
+        },
+        
         // Safety settings configuration
         safetySettings: {
             // Available safety filter levels (use what's available to your project)
@@ -123,21 +351,15 @@ Return only the transformed prompt, no explanations.`,
             ]
         },
         
-        // Updated content detection patterns - more permissive
+        // Prompt rewriting hints; what gets flagged is decided by the moderation policy
         contentDetection: {
-            // Only flag truly problematic combinations
-            highRiskPatterns: [
-                /\b(?:naked|nude|undressed|sexual|inappropriate|exploitation)\b.*\b(?:child|children|kid|kids|minor)\b/i,
-                /\b(?:child|children|kid|kids|minor)\b.*\b(?:naked|nude|undressed|sexual|inappropriate|exploitation)\b/i,
-            ],
-            
             // Cultural enhancement indicators
             culturalPatterns: [
                 /\b(?:african|asian|hispanic|latino|native|indigenous|traditional|cultural|ethnic)\b/i,
                 /\b(?:family|community|child|children|portrait|traditional)\b/i
             ],
             
-            // Quality enhancement patterns
+            // Quality descriptors the rule-based rewrites pick three of
             qualityEnhancers: [
                 'high quality photograph',
                 'professional photography', 
@@ -155,6 +377,20 @@ Return only the transformed prompt, no explanations.`,
                 'natural environment'
             ],
             
+            // Generic terms for brand names, which image models often refuse to render
+            brandReplacements: [
+                { pattern: /\bcoca[- ]?cola\b|\bcoke\b|\bpepsi(?:[- ]?cola)?\b/gi, replacement: 'cola' },
+                { pattern: /\b(?:sprite|7[- ]?up)\b/gi, replacement: 'lemon-lime soda' },
+                { pattern: /\bfanta\b/gi, replacement: 'orange soda' },
+                { pattern: /\b(?:red bull|monster energy)\b/gi, replacement: 'energy drink' },
+                { pattern: /\bmcdonald'?s\b|\bburger king\b|\bkfc\b/gi, replacement: 'fast food restaurant' },
+                { pattern: /\bstarbucks\b/gi, replacement: 'coffee shop' },
+                { pattern: /\b(?:nike|adidas|puma|reebok)\b/gi, replacement: 'athletic' },
+                { pattern: /\biphone\b/gi, replacement: 'smartphone' },
+                { pattern: /\b(?:macbook|thinkpad)\b/gi, replacement: 'laptop' },
+                { pattern: /\blego\b/gi, replacement: 'toy building blocks' }
+            ],
+            
             // Minimal replacement patterns - only for truly inappropriate content
             safetyReplacements: [
                 { pattern: /\b(?:naked|nude|undressed)\b/gi, replacement: 'appropriately dressed' },
@@ -167,10 +403,32 @@ Return only the transformed prompt, no explanations.`,
 
 // Validate required configuration
 const validateConfig = () => {
+    const { enhanceModes, defaults } = config.gemini.imageOptions;
+    if (!enhanceModes.includes(defaults.enhance)) {
+        throw new Error(`PROMPT_ENHANCE_MODE must be one of: ${enhanceModes.join(', ')}`);
+    }
+    if (!config.gemini.imageOptions.responseFormats.includes(defaults.response)) {
+        throw new Error(`IMAGE_RESPONSE_DEFAULT must be one of: ${config.gemini.imageOptions.responseFormats.join(', ')}`);
+    }
+    if (!config.gemini.imageOptions.formats.includes(defaults.format)) {
+        throw new Error(`IMAGE_FORMAT_DEFAULT must be one of: ${config.gemini.imageOptions.formats.join(', ')}`);
+    }
+    if (defaults.metadata && !config.gemini.imageOptions.metadataModes.includes(defaults.metadata)) {
+        throw new Error(`IMAGE_METADATA_DEFAULT must be one of: ${config.gemini.imageOptions.metadataModes.join(', ')}`);
+    }
+    if (defaults.response === 'url' && config.storage.backend === 'none') {
+        throw new Error('IMAGE_RESPONSE_DEFAULT=url needs image storage; set IMAGE_STORAGE to local or s3');
+    }
+
+    // Offline providers don't talk to Google Cloud
+    if (config.gemini.imageProvider !== 'vertex') {
+        return;
+    }
+
+    // Credentials are validated by their source when the service starts
     const required = [
         'google.projectId',
         'google.region',
-        'google.credentials',
     ];
 
     const missing = required.filter(key => {
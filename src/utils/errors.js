@@ -1,44 +1,189 @@
 class ApplicationError extends Error {
-    constructor(message, statusCode = 500) {
+    constructor(message, statusCode = 500, code = 'INTERNAL_SERVER_ERROR', details = undefined) {
         super(message);
         this.name = this.constructor.name;
         this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
         Error.captureStackTrace(this, this.constructor);
     }
+
+    // Message safe to return to API clients; server-side errors override this
+    // so upstream details only reach the logs
+    get publicMessage() {
+        return this.message;
+    }
 }
 
 class ValidationError extends ApplicationError {
-    constructor(message) {
-        super(message, 400);
+    constructor(message, code = 'VALIDATION_ERROR', details) {
+        super(message, 400, code, details);
         this.name = 'ValidationError';
     }
 }
 
 class RateLimitError extends ApplicationError {
-    constructor(message) {
-        super(message, 429);
+    constructor(message, code = 'RATE_LIMIT_EXCEEDED', rateLimit = null) {
+        super(message, 429, code);
         this.name = 'RateLimitError';
+        this.rateLimit = rateLimit;
     }
 }
 
 class AuthenticationError extends ApplicationError {
-    constructor(message) {
-        super(message, 401);
+    constructor(message, code = 'AUTHENTICATION_REQUIRED') {
+        super(message, 401, code);
         this.name = 'AuthenticationError';
     }
 }
 
+class ForbiddenError extends ApplicationError {
+    constructor(message, code = 'FORBIDDEN') {
+        super(message, 403, code);
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends ApplicationError {
+    constructor(message, code = 'NOT_FOUND') {
+        super(message, 404, code);
+        this.name = 'NotFoundError';
+    }
+}
+
 class ConfigurationError extends ApplicationError {
     constructor(message) {
-        super(message, 500);
+        super(message, 500, 'CONFIGURATION_ERROR');
         this.name = 'ConfigurationError';
     }
 }
 
+class ContentPolicyError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 400, 'CONTENT_POLICY_VIOLATION', details);
+        this.name = 'ContentPolicyError';
+    }
+
+    get publicMessage() {
+        return 'Your request could not be processed due to content guidelines. Please try rephrasing your prompt or removing specific brand names.';
+    }
+}
+
+class ServiceUnavailableError extends ApplicationError {
+    constructor(message, code = 'SERVICE_UNAVAILABLE', details) {
+        super(message, 503, code, details);
+        this.name = 'ServiceUnavailableError';
+    }
+}
+
+class QuotaExceededError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 503, 'QUOTA_EXCEEDED', details);
+        this.name = 'QuotaExceededError';
+    }
+
+    get publicMessage() {
+        return 'Service quota exceeded. Please try again later.';
+    }
+}
+
+// The service's own Google Cloud credentials failed, not the caller's
+class ServiceAuthenticationError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 503, 'AUTHENTICATION_ERROR', details);
+        this.name = 'ServiceAuthenticationError';
+    }
+
+    get publicMessage() {
+        return 'Service temporarily unavailable. Please try again later.';
+    }
+}
+
+class PermissionError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 503, 'PERMISSION_ERROR', details);
+        this.name = 'PermissionError';
+    }
+
+    get publicMessage() {
+        return 'Service configuration error. Please contact support.';
+    }
+}
+
+class UpstreamServiceError extends ApplicationError {
+    constructor(message, { code = 'UPSTREAM_ERROR', retryable = false, details } = {}) {
+        super(message, 502, code, details);
+        this.name = 'UpstreamServiceError';
+        this.retryable = retryable;
+    }
+
+    get publicMessage() {
+        return 'The image generation service returned an error. Please try again later.';
+    }
+}
+
+// A model's circuit breaker is open, so it is skipped without being called
+class ModelUnavailableError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 503, 'MODEL_UNAVAILABLE', details);
+        this.name = 'ModelUnavailableError';
+    }
+
+    get publicMessage() {
+        return 'Image generation models are temporarily unavailable. Please try again later.';
+    }
+}
+
+class GenerationError extends ApplicationError {
+    constructor(message, details) {
+        super(message, 502, 'GENERATION_FAILED', details);
+        this.name = 'GenerationError';
+    }
+}
+
+class TimeoutError extends ApplicationError {
+    constructor(message, code = 'GENERATION_TIMEOUT') {
+        super(message, 504, code);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Saving or reading a stored image failed
+class StorageError extends ApplicationError {
+    constructor(message, details = {}) {
+        super(message, 503, 'STORAGE_ERROR', details);
+        this.name = 'StorageError';
+    }
+
+    get publicMessage() {
+        return 'Image storage is temporarily unavailable. Please try again later.';
+    }
+}
+
+class CancelledError extends ApplicationError {
+    constructor(message = 'Generation cancelled') {
+        super(message, 499, 'CANCELLED');
+        this.name = 'CancelledError';
+    }
+}
+
 module.exports = {
     ApplicationError,
     ValidationError,
     RateLimitError,
     AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
     ConfigurationError,
+    ContentPolicyError,
+    ServiceUnavailableError,
+    QuotaExceededError,
+    ServiceAuthenticationError,
+    PermissionError,
+    UpstreamServiceError,
+    ModelUnavailableError,
+    GenerationError,
+    TimeoutError,
+    StorageError,
+    CancelledError,
 };
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+const { ValidationError } = require('./errors');
+
+/**
+ * Reads an uploaded image's dimensions, rejecting files the decoder can't read
+ * @param {Buffer} data - Image bytes
+ * @param {string} field - Request field, for errors
+ * @returns {Promise<Object>} { width, height }
+ */
+const readDimensions = async (data, field) => {
+    try {
+        const { width, height } = await sharp(data).metadata();
+        return { width, height };
+    } catch (error) {
+        throw new ValidationError(`Invalid ${field}: ${error.message}`, 'INVALID_IMAGE', { field });
+    }
+};
+
+/**
+ * Draws rectangles as a mask: white is edited, black is kept. Parts outside the image are ignored.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array} rectangles - [{ x, y, width, height }] in image pixels
+ * @returns {Promise<Buffer>} Greyscale PNG mask
+ */
+const createRectangleMask = (width, height, rectangles) => {
+    const pixels = Buffer.alloc(width * height);
+    for (const rectangle of rectangles) {
+        const left = Math.min(rectangle.x, width);
+        const right = Math.min(rectangle.x + rectangle.width, width);
+        for (let y = rectangle.y; y < Math.min(rectangle.y + rectangle.height, height); y++) {
+            pixels.fill(255, y * width + left, y * width + right);
+        }
+    }
+
+    if (!pixels.includes(255)) {
+        throw new ValidationError('Invalid mask.rectangles: Every rectangle lies outside the image', 'INVALID_OPTION', { field: 'mask.rectangles' });
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+};
+
+/**
+ * Turns an uploaded mask into a greyscale PNG the size of the image. Transparent
+ * areas count as black, so a mask drawn on a transparent canvas works as is.
+ * @param {Buffer} mask - Mask image bytes
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Buffer>} Greyscale PNG mask
+ */
+const normalizeMask = async (mask, width, height) => {
+    await readDimensions(mask, 'mask.image');
+    return sharp(mask)
+        .flatten({ background: '#000000' })
+        .resize(width, height, { fit: 'fill' })
+        .toColourspace('b-w')
+        .png()
+        .toBuffer();
+};
+
+/**
+ * Builds the inputs sent to the edit model
+ * @param {Object} edit - { mode, image, mask, outpaint } from validator.validateEditRequest
+ * @param {Object} limits - { maxDimension } longest side the model is sent
+ * @returns {Promise<Object>} { image, mask, maskMode, width, height } - mask is a PNG buffer, or null
+ *   for automatic masks; maskMode is 'user', 'background' or 'foreground'
+ */
+const prepareEdit = async ({ image, mask, outpaint }, { maxDimension }) => {
+    const { width, height } = await readDimensions(image, 'image');
+
+    if (outpaint) {
+        const padded = {
+            width: width + outpaint.left + outpaint.right,
+            height: height + outpaint.top + outpaint.bottom
+        };
+        if (Math.max(padded.width, padded.height) > maxDimension) {
+            throw new ValidationError(`Invalid outpaint: The padded image must be at most ${maxDimension} pixels per side`, 'INVALID_OPTION', { field: 'outpaint' });
+        }
+
+        // The original sits on a black canvas; the mask is white wherever the model paints
+        return {
+            image: await sharp(image).extend({ ...outpaint, background: '#000000' }).png().toBuffer(),
+            mask: await sharp({ create: { width, height, channels: 3, background: '#000000' } })
+                .extend({ ...outpaint, background: '#ffffff' })
+                .toColourspace('b-w')
+                .png()
+                .toBuffer(),
+            maskMode: 'user',
+            ...padded
+        };
+    }
+
+    if (Math.max(width, height) > maxDimension) {
+        throw new ValidationError(`Invalid image: Must be at most ${maxDimension} pixels per side`, 'INVALID_OPTION', { field: 'image' });
+    }
+
+    if (mask.auto) {
+        return { image, mask: null, maskMode: mask.auto, width, height };
+    }
+
+    return {
+        image,
+        mask: mask.rectangles
+            ? await createRectangleMask(width, height, mask.rectangles)
+            : await normalizeMask(mask.image, width, height),
+        maskMode: 'user',
+        width,
+        height
+    };
+};
+
+module.exports = {
+    createRectangleMask,
+    normalizeMask,
+    prepareEdit,
+};
@@ -0,0 +1,275 @@
+const zlib = require('zlib');
+const { isPng, readChunks, writeChunks } = require('./png');
+const { isJpeg, readSegments, writeSegments } = require('./jpeg');
+
+const APP0 = 0xe0;
+const APP1 = 0xe1;
+const APP13 = 0xed;
+const COM = 0xfe;
+
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const XMP_NAMESPACE = 'urn:image-generation-service:metadata:1.0';
+// Compressed text is inflated to at most this many bytes, so an upload can't
+// expand a few kilobytes into gigabytes
+const MAX_TEXT_BYTES = 64 * 1024;
+
+// Chunks and segments that carry descriptive metadata. Colour profiles,
+// JFIF and Adobe segments are kept because they change how pixels render.
+const PNG_TEXT_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+const JPEG_METADATA_MARKERS = new Set([APP1, APP13, COM]);
+
+/**
+ * Generation details written into image files: the PNG keyword and XMP
+ * property each one is stored under. Creation time and software use the
+ * names other tools already read.
+ */
+const FIELDS = [
+    { key: 'prompt', keyword: 'Prompt', xmp: 'imagegen:Prompt' },
+    { key: 'promptUsed', keyword: 'Prompt Used', xmp: 'imagegen:PromptUsed' },
+    { key: 'model', keyword: 'Model', xmp: 'imagegen:Model' },
+    { key: 'strategy', keyword: 'Strategy', xmp: 'imagegen:Strategy' },
+    { key: 'seed', keyword: 'Seed', xmp: 'imagegen:Seed' },
+    { key: 'createdAt', keyword: 'Creation Time', xmp: 'xmp:CreateDate' },
+    { key: 'software', keyword: 'Software', xmp: 'xmp:CreatorTool' }
+];
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg'
+};
+
+/**
+ * Identifies an image by its leading bytes; the declared MIME type can't be trusted
+ * @param {Buffer} buffer - File bytes
+ * @returns {string|null} 'png', 'jpeg' or null for anything else
+ */
+const detectFormat = (buffer) => {
+    if (isPng(buffer)) {
+        return 'png';
+    }
+    return isJpeg(buffer) ? 'jpeg' : null;
+};
+
+// XML 1.0 and PNG text can't hold most control characters
+const cleanText = (value) => String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const escapeXml = (value) => cleanText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const unescapeXml = (value) => value
+    .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+
+const presentFields = (metadata) => FIELDS.filter(field => metadata[field.key] !== null && metadata[field.key] !== undefined);
+
+/**
+ * Collects the known fields found in a file into a metadata object
+ * @param {Function} lookup - Returns the stored text for a field, or undefined
+ * @returns {Object|null} Metadata, or null when the file has none of the fields
+ */
+const collectFields = (lookup) => {
+    const metadata = {};
+    for (const field of FIELDS) {
+        const value = lookup(field);
+        if (value !== undefined) {
+            metadata[field.key] = field.key === 'seed' && /^\d+$/.test(value) ? Number(value) : value;
+        }
+    }
+    return Object.keys(metadata).length > 0 ? metadata : null;
+};
+
+/**
+ * A tEXt chunk when the value is plain ASCII, otherwise an uncompressed UTF-8 iTXt chunk
+ * @param {string} keyword - PNG keyword
+ * @param {string} value - Text to store
+ * @returns {Object} { type, data }
+ */
+const createTextChunk = (keyword, value) => {
+    const text = cleanText(value);
+    if (/^[\x20-\x7e\t\n\r]*$/.test(text)) {
+        return { type: 'tEXt', data: Buffer.from(`${keyword}\0${text}`, 'latin1') };
+    }
+
+    // keyword, compression flag and method, empty language tag and translated keyword
+    return {
+        type: 'iTXt',
+        data: Buffer.concat([Buffer.from(`${keyword}\0\0\0\0\0`, 'latin1'), Buffer.from(text, 'utf8')])
+    };
+};
+
+/**
+ * @param {string} keyword - Chunk keyword, for the error message
+ * @param {Buffer} data - zlib stream
+ * @returns {Buffer} Inflated bytes
+ * @throws {Error} When the text inflates to more than MAX_TEXT_BYTES
+ */
+const inflateText = (keyword, data) => {
+    try {
+        return zlib.inflateSync(data, { maxOutputLength: MAX_TEXT_BYTES });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Text chunk "${keyword}" inflates to more than ${MAX_TEXT_BYTES} bytes`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @param {Object} chunk - tEXt, zTXt or iTXt chunk
+ * @param {Function} wanted - (keyword) => boolean; other chunks are skipped before inflating
+ * @returns {Array|null} [keyword, text], or null for other or unwanted chunks
+ */
+const readTextChunk = ({ type, data }, wanted) => {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd === -1) {
+        return null;
+    }
+    const keyword = data.toString('latin1', 0, keywordEnd);
+    if (!wanted(keyword)) {
+        return null;
+    }
+
+    if (type === 'tEXt') {
+        return [keyword, data.toString('latin1', keywordEnd + 1)];
+    }
+    if (type === 'zTXt') {
+        return [keyword, inflateText(keyword, data.subarray(keywordEnd + 2)).toString('latin1')];
+    }
+    if (type === 'iTXt') {
+        const compressed = data[keywordEnd + 1] === 1;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+        if (translatedEnd === -1) {
+            return null;
+        }
+        const text = data.subarray(translatedEnd + 1);
+        return [keyword, (compressed ? inflateText(keyword, text) : text).toString('utf8')];
+    }
+    return null;
+};
+
+const createXmpPacket = (metadata) => {
+    const properties = presentFields(metadata)
+        .map(field => `   <${field.xmp}>${escapeXml(metadata[field.key])}</${field.xmp}>`)
+        .join('\n');
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        `  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:imagegen="${XMP_NAMESPACE}">`,
+        properties,
+        '  </rdf:Description>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+};
+
+const isXmpSegment = (segment) => segment.marker === APP1 &&
+    segment.data.subarray(0, XMP_HEADER.length).equals(XMP_HEADER);
+
+const stripPng = (buffer) => readChunks(buffer).filter(chunk => !PNG_TEXT_CHUNKS.has(chunk.type));
+
+const stripJpeg = (buffer) => {
+    const parts = readSegments(buffer);
+    return { ...parts, segments: parts.segments.filter(segment => !JPEG_METADATA_MARKERS.has(segment.marker)) };
+};
+
+/**
+ * Removes text, EXIF, XMP, IPTC and comment metadata from a PNG or JPEG.
+ * Other formats are returned unchanged.
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Buffer} Image bytes without metadata
+ */
+const stripMetadata = (buffer) => {
+    const format = detectFormat(buffer);
+    if (format === 'png') {
+        return writeChunks(stripPng(buffer));
+    }
+    if (format === 'jpeg') {
+        return writeSegments(stripJpeg(buffer));
+    }
+    return buffer;
+};
+
+/**
+ * Replaces any metadata in a PNG or JPEG with the given generation details:
+ * PNG text chunks after the header, or an XMP packet after the JFIF segment.
+ * Other formats are returned unchanged.
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} metadata - Values keyed by FIELDS keys; null and undefined values are left out
+ * @returns {Buffer} Image bytes with metadata
+ */
+const embedMetadata = (buffer, metadata) => {
+    const format = detectFormat(buffer);
+
+    if (format === 'png') {
+        const [header, ...chunks] = stripPng(buffer);
+        const textChunks = presentFields(metadata).map(field => createTextChunk(field.keyword, metadata[field.key]));
+        return writeChunks([header, ...textChunks, ...chunks]);
+    }
+
+    if (format === 'jpeg') {
+        const { segments, scan } = stripJpeg(buffer);
+        const xmp = { marker: APP1, data: Buffer.concat([XMP_HEADER, Buffer.from(createXmpPacket(metadata), 'utf8')]) };
+        // JFIF requires its APP0 segment to come first
+        const position = segments.findIndex(segment => segment.marker !== APP0);
+        const insertAt = position === -1 ? segments.length : position;
+        return writeSegments({ segments: [...segments.slice(0, insertAt), xmp, ...segments.slice(insertAt)], scan });
+    }
+
+    return buffer;
+};
+
+/**
+ * Reads generation details back from a PNG or JPEG
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { format, mimeType, metadata } - format and mimeType are null for
+ *   unsupported files; metadata is null when the file carries none
+ */
+const readMetadata = (buffer) => {
+    const format = detectFormat(buffer);
+
+    if (format === 'png') {
+        const keywords = new Set(FIELDS.map(field => field.keyword));
+        const text = new Map();
+        for (const chunk of readChunks(buffer)) {
+            // Only the first chunk of each of our keywords is read, which bounds how much is inflated
+            const entry = readTextChunk(chunk, keyword => keywords.has(keyword) && !text.has(keyword));
+            if (entry) {
+                text.set(entry[0], entry[1]);
+            }
+        }
+        return { format, mimeType: MIME_TYPES.png, metadata: collectFields(field => text.get(field.keyword)) };
+    }
+
+    if (format === 'jpeg') {
+        const segment = readSegments(buffer).segments.find(isXmpSegment);
+        const packet = segment ? segment.data.toString('utf8', XMP_HEADER.length) : '';
+        return {
+            format,
+            mimeType: MIME_TYPES.jpeg,
+            metadata: collectFields(field => {
+                const match = new RegExp(`<${field.xmp}>([^<]*)</${field.xmp}>`).exec(packet);
+                return match ? unescapeXml(match[1]) : undefined;
+            })
+        };
+    }
+
+    return { format: null, mimeType: null, metadata: null };
+};
+
+module.exports = {
+    detectFormat,
+    embedMetadata,
+    stripMetadata,
+    readMetadata,
+};
@@ -0,0 +1,74 @@
+const sharp = require('sharp');
+const { detectFormat } = require('./imageMetadata');
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+/**
+ * Works out how an image is resized from validated options
+ * @param {Object} options - { size, width, height } from validator.validateImageOptions
+ * @param {Object} sizes - Longest edge in pixels per named size
+ * @returns {Object|null} sharp resize options, or null to keep the generated dimensions.
+ *   Named sizes set the longest edge; explicit dimensions are exact, cropped to fill when both are given.
+ */
+const resizeFor = ({ size, width, height }, sizes) => {
+    if (size) {
+        return { width: sizes[size], height: sizes[size], fit: 'inside' };
+    }
+    if (width || height) {
+        return { width, height, fit: 'cover' };
+    }
+    return null;
+};
+
+const encode = (pipeline, format, quality) => pipeline
+    // sharp's quality scale starts at 1
+    .toFormat(format, quality === undefined ? {} : { quality: Math.max(quality, 1) })
+    .toBuffer({ resolveWithObject: true });
+
+/**
+ * Converts an image to the requested format and size. An image that is already
+ * in the format and needs no resizing is passed through, so a JPEG from the
+ * model is never re-encoded just to be read.
+ * @param {Buffer} buffer - Image bytes from the model
+ * @param {Object} options
+ * @param {string} options.format - png | jpeg | webp | avif
+ * @param {Object|null} options.resize - From resizeFor
+ * @param {number} options.quality - 0-100 for lossy formats; the encoder default when undefined
+ * @param {number|null} options.thumbnailSize - Longest edge of a thumbnail to make alongside, or null for none
+ * @returns {Promise<Object>} { data, mimeType, width, height, thumbnail } - thumbnail has the same
+ *   fields except thumbnail, or is null
+ */
+const transformImage = async (buffer, { format, resize = null, quality, thumbnailSize = null }) => {
+    let image;
+    if (resize || detectFormat(buffer) !== format) {
+        const pipeline = resize ? sharp(buffer).resize(resize) : sharp(buffer);
+        const { data, info } = await encode(pipeline, format, quality);
+        image = { data, width: info.width, height: info.height };
+    } else {
+        const { width, height } = await sharp(buffer).metadata();
+        image = { data: buffer, width, height };
+    }
+
+    let thumbnail = null;
+    if (thumbnailSize) {
+        const { data, info } = await encode(
+            sharp(image.data).resize({ width: thumbnailSize, height: thumbnailSize, fit: 'inside', withoutEnlargement: true }),
+            format,
+            quality
+        );
+        thumbnail = { data, mimeType: MIME_TYPES[format], width: info.width, height: info.height };
+    }
+
+    return { ...image, mimeType: MIME_TYPES[format], thumbnail };
+};
+
+module.exports = {
+    MIME_TYPES,
+    resizeFor,
+    transformImage,
+};
@@ -0,0 +1,91 @@
+const SOI = Buffer.from([0xff, 0xd8]);
+const SOS = 0xda;
+
+// Markers that stand alone, without a length and payload
+const STANDALONE_MARKERS = new Set([0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7]);
+
+/**
+ * @param {Buffer} buffer - File bytes
+ * @returns {boolean} Whether the bytes start with a JPEG start-of-image marker
+ */
+const isJpeg = (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+
+/**
+ * Builds a marker segment (marker, length, payload)
+ * @param {number} marker - Marker byte, e.g. 0xe1 for APP1
+ * @param {Buffer} data - Segment payload
+ * @returns {Buffer} Encoded segment
+ */
+const createSegment = (marker, data) => {
+    if (data.length > 0xffff - 2) {
+        throw new Error(`JPEG segment payload of ${data.length} bytes is over the 65533-byte limit`);
+    }
+
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+};
+
+/**
+ * Splits a JPEG into the marker segments before its image data and the image
+ * data itself, which is kept as opaque bytes from the first start-of-scan on
+ * @param {Buffer} buffer - JPEG file bytes
+ * @returns {Object} { segments: [{ marker, data }], scan }
+ */
+const readSegments = (buffer) => {
+    if (!isJpeg(buffer)) {
+        throw new Error('Not a JPEG file');
+    }
+
+    const segments = [];
+    let offset = SOI.length;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            throw new Error(`Expected a JPEG marker at byte ${offset}`);
+        }
+
+        const marker = buffer[offset + 1];
+        // 0xff fill bytes may pad the space between segments
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (STANDALONE_MARKERS.has(marker)) {
+            segments.push({ marker, data: Buffer.alloc(0) });
+            offset += 2;
+            continue;
+        }
+        if (marker === SOS) {
+            return { segments, scan: buffer.subarray(offset) };
+        }
+
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) {
+            throw new Error('Truncated JPEG segment');
+        }
+        segments.push({ marker, data: buffer.subarray(offset + 4, end) });
+        offset = end;
+    }
+
+    throw new Error('JPEG file has no image data');
+};
+
+/**
+ * Reassembles a JPEG from segments and image data
+ * @param {Object} parts - { segments, scan } as returned by readSegments
+ * @returns {Buffer} JPEG file bytes
+ */
+const writeSegments = ({ segments, scan }) => Buffer.concat([
+    SOI,
+    ...segments.map(segment => (STANDALONE_MARKERS.has(segment.marker)
+        ? Buffer.from([0xff, segment.marker])
+        : createSegment(segment.marker, segment.data))),
+    scan
+]);
+
+module.exports = {
+    isJpeg,
+    createSegment,
+    readSegments,
+    writeSegments,
+};
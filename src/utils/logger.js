@@ -1,4 +1,5 @@
 const logLevels = {
+    silent: -1,
     error: 0,
     warn: 1,
     info: 2,
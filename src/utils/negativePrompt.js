@@ -0,0 +1,51 @@
+/**
+ * Splits a comma-separated negative prompt into trimmed terms
+ * @param {string} text - Negative prompt
+ * @returns {Array} Terms
+ */
+const splitTerms = (text) => (text || '')
+    .split(',')
+    .map(term => term.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+/**
+ * Merges negative prompts from several sources into one. Sources are listed in
+ * priority order: when the result would be too long, terms from the last
+ * sources are dropped first. Output keeps the first source's terms first, and
+ * terms repeated across sources (ignoring case) appear once.
+ * @param {Array} sources - Negative prompt strings, highest priority first
+ * @param {Object} limits - { maxLength, maxTerms }
+ * @returns {Object} { negativePrompt, terms, dropped }
+ */
+const mergeNegativePrompts = (sources, { maxLength, maxTerms }) => {
+    const terms = [];
+    const dropped = [];
+    const seen = new Set();
+    let length = 0;
+
+    for (const source of sources) {
+        for (const term of splitTerms(source)) {
+            const key = term.toLowerCase();
+            if (seen.has(key)) {
+                continue;
+            }
+
+            const added = term.length + (terms.length > 0 ? 2 : 0);
+            if (length + added > maxLength || terms.length >= maxTerms) {
+                dropped.push(term);
+                continue;
+            }
+
+            seen.add(key);
+            terms.push(term);
+            length += added;
+        }
+    }
+
+    return { negativePrompt: terms.join(', '), terms, dropped };
+};
+
+module.exports = {
+    splitTerms,
+    mergeNegativePrompts,
+};
@@ -0,0 +1,135 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunk checksums
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC
+ */
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Builds a single PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk payload
+ * @returns {Buffer} Encoded chunk
+ */
+const createChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+
+    return Buffer.concat([length, typeAndData, crc]);
+};
+
+/**
+ * Encodes raw 8-bit RGB pixels as a PNG
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} pixels - width * height * 3 bytes, row-major
+ * @returns {Buffer} PNG file bytes
+ */
+const encodeRgbPng = (width, height, pixels) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: truecolor
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    // Every scanline is prefixed with filter type 0 (none)
+    const rowLength = width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(raw)),
+        createChunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+/**
+ * @param {Buffer} buffer - File bytes
+ * @returns {boolean} Whether the bytes start with the PNG signature
+ */
+const isPng = (buffer) => buffer.length >= PNG_SIGNATURE.length &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+
+/**
+ * Splits a PNG into its chunks. CRCs are not checked; chunks are copied as they are.
+ * @param {Buffer} buffer - PNG file bytes
+ * @returns {Array} [{ type, data }] in file order, ending with IEND
+ */
+const readChunks = (buffer) => {
+    if (!isPng(buffer)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const end = offset + 12 + length;
+        if (end > buffer.length) {
+            throw new Error('Truncated PNG chunk');
+        }
+
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+
+        if (type === 'IEND') {
+            return chunks;
+        }
+    }
+
+    throw new Error('PNG file has no IEND chunk');
+};
+
+/**
+ * Reassembles a PNG from chunks
+ * @param {Array} chunks - [{ type, data }] as returned by readChunks
+ * @returns {Buffer} PNG file bytes
+ */
+const writeChunks = (chunks) => Buffer.concat([
+    PNG_SIGNATURE,
+    ...chunks.map(chunk => createChunk(chunk.type, chunk.data))
+]);
+
+module.exports = {
+    PNG_SIGNATURE,
+    crc32,
+    createChunk,
+    encodeRgbPng,
+    isPng,
+    readChunks,
+    writeChunks,
+};
@@ -1,81 +1,103 @@
 // ../utils/promptGuard.js
 const { logger } = require('./logger');
+const { ValidationError, ContentPolicyError, UpstreamServiceError } = require('./errors');
+
+// Appended by enhancePromptQuality after the chosen descriptors
+const QUALITY_SUFFIX = 'photorealistic, professional photography, meaningful moment';
+
+/**
+ * 32-bit FNV-1a hash, used to seed deterministic enhancement from the prompt itself
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * mulberry32: small seeded PRNG, good enough for picking descriptors reproducibly
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
 
 class PromptGuard {
-    constructor(textModel, config) {
+    /**
+     * @param {Object} textModel - Text model used for rewrites, or null
+     * @param {Object} config - config.gemini
+     * @param {ModerationEngine} moderation - Decides which content counts as an issue
+     */
+    constructor(textModel, config, moderation) {
         this.textModel = textModel;
         this.config = config;
+        this.moderation = moderation;
         this.contentDetection = config.contentDetection;
         this.transformationConfig = config.promptTransformation;
     }
 
     /**
-     * Detects problematic content in prompts - now more permissive
+     * Detects problematic content in prompts using the moderation policy. Every
+     * matched rule is an issue; high-severity issues must be rewritten, the rest
+     * only mark prompts worth rewriting.
      * @param {string} prompt - The prompt to analyze
+     * @param {Object} context - { tenant } from the caller's API key, selecting the tenant's policy
      * @returns {Array} Array of detected issues
      */
-    detectProblematicContent(prompt) {
-        const issues = [];
-        const lowerPrompt = prompt.toLowerCase();
-
-        // Only flag truly problematic content, not general age mentions
-        const highRiskPatterns = [
-            /\b(?:naked|nude|undressed|sexual|inappropriate)\b.*\b(?:child|children|kid|kids|minor)\b/i,
-            /\b(?:child|children|kid|kids|minor)\b.*\b(?:naked|nude|undressed|sexual|inappropriate)\b/i
-        ];
-
-        for (const pattern of highRiskPatterns) {
-            if (pattern.test(prompt)) {
-                issues.push({
-                    type: 'high_risk_content',
-                    pattern: pattern.toString(),
-                    severity: 'high'
-                });
-            }
-        }
-
-        return issues;
+    detectProblematicContent(prompt, { tenant } = {}) {
+        return this.moderation.evaluate(prompt, { tenant }).matchedRules.map(match => ({
+            type: match.rule,
+            description: match.description,
+            severity: match.severity,
+            matches: match.matches
+        }));
     }
 
     /**
      * Enhanced prompt transformation that preserves cultural context
      * @param {string} originalPrompt - The original prompt
+     * @param {Object} enhancement - { mode, seed }; see enhancePromptQuality
+     * @param {Object} context - { tenant }; see detectProblematicContent
      * @returns {Object} Transformation result
      */
-    async smartPromptTransformation(originalPrompt) {
+    async smartPromptTransformation(originalPrompt, enhancement, context) {
         try {
-            const issues = this.detectProblematicContent(originalPrompt);
+            const issues = this.detectProblematicContent(originalPrompt, context);
             
             if (issues.length === 0) {
+                const enhanced = this.enhancePromptQuality(originalPrompt, enhancement);
                 return {
                     original: originalPrompt,
-                    transformed: this.enhancePromptQuality(originalPrompt),
+                    transformed: enhanced.prompt,
                     method: 'quality_enhancement',
+                    enhancers: enhanced.enhancers,
                     issues: []
                 };
             }
 
-            logger.info(`Detected ${issues.length} high-risk issues:`, issues);
+            logger.info(`Detected ${issues.length} issues:`, issues);
 
             // Only transform if truly problematic
             if (issues.some(issue => issue.severity === 'high')) {
-                const transformationPrompt = this.transformationConfig.enhancedPrompt.replace(
-                    '{ORIGINAL_PROMPT}', 
+                const transformedPrompt = await this.requestTransformation(
+                    this.transformationConfig.enhancedPrompt,
                     originalPrompt
                 );
 
-                const result = await this.textModel.generateContent({
-                    contents: [{
-                        role: 'user',
-                        parts: [{ text: transformationPrompt }]
-                    }],
-                    generationConfig: this.transformationConfig.config
-                });
-
-                const candidate = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-
-                if (candidate) {
-                    const transformedPrompt = candidate.replace(/^["']|["']$/g, '');
+                if (transformedPrompt) {
                     logger.info(`AI transformed prompt: ${transformedPrompt}`);
                     
                     return {
@@ -87,55 +109,291 @@ class PromptGuard {
                 }
             }
 
+            const enhanced = this.enhancePromptQuality(originalPrompt, enhancement);
             return {
                 original: originalPrompt,
-                transformed: this.enhancePromptQuality(originalPrompt),
+                transformed: enhanced.prompt,
                 method: 'quality_enhancement',
+                enhancers: enhanced.enhancers,
                 issues: issues
             };
 
         } catch (error) {
             logger.error('AI transformation failed:', error.message);
+            const enhanced = this.enhancePromptQuality(originalPrompt, enhancement);
             return {
                 original: originalPrompt,
-                transformed: this.enhancePromptQuality(originalPrompt),
+                transformed: enhanced.prompt,
                 method: 'quality_enhancement_fallback',
-                issues: this.detectProblematicContent(originalPrompt)
+                enhancers: enhanced.enhancers,
+                issues: this.detectProblematicContent(originalPrompt, context)
+            };
+        }
+    }
+
+    /**
+     * Rewrites a prompt with any detected issues using the policy template,
+     * falling back to rule-based changes without a usable text model
+     * @param {string} originalPrompt - The original prompt
+     * @param {Object} enhancement - { mode, seed } for the rule-based fallback; see enhancePromptQuality
+     * @param {Object} context - { tenant }; see detectProblematicContent
+     * @returns {Object} Transformation result
+     * @throws {ContentPolicyError} When the text model blocks the prompt
+     */
+    async transformForPolicy(originalPrompt, enhancement, context) {
+        const issues = this.detectProblematicContent(originalPrompt, context);
+
+        if (issues.length === 0) {
+            return {
+                original: originalPrompt,
+                transformed: originalPrompt,
+                method: 'no_issues_detected',
+                issues: []
+            };
+        }
+
+        if (this.textModel) {
+            try {
+                const transformed = await this.requestTransformation(
+                    this.transformationConfig.prompt,
+                    originalPrompt
+                );
+
+                if (transformed) {
+                    return {
+                        original: originalPrompt,
+                        transformed: transformed,
+                        method: 'ai_policy_transformation',
+                        issues: issues
+                    };
+                }
+            } catch (error) {
+                if (error instanceof ContentPolicyError) {
+                    throw error;
+                }
+                logger.warn(`Policy transformation failed (${error.code || 'UNKNOWN'}), using rules:`, error.message);
+            }
+        }
+
+        return this.ruleBasedTransformation(originalPrompt, issues, enhancement);
+    }
+
+    /**
+     * Runs a transformation template through the text model
+     * @param {string} template - Template containing {ORIGINAL_PROMPT}
+     * @param {string} originalPrompt - The original prompt
+     * @returns {string|null} Transformed prompt, or null if the model returned nothing
+     * @throws {ContentPolicyError} When the text model blocks the prompt
+     * @throws {UpstreamServiceError} When the text model request fails
+     */
+    async requestTransformation(template, originalPrompt) {
+        const transformationPrompt = template.replace('{ORIGINAL_PROMPT}', originalPrompt);
+
+        let result;
+        try {
+            result = await this.textModel.generateContent({
+                contents: [{
+                    role: 'user',
+                    parts: [{ text: transformationPrompt }]
+                }],
+                generationConfig: this.transformationConfig.config
+            });
+        } catch (error) {
+            throw new UpstreamServiceError(`Text model request failed: ${error.message}`, {
+                code: 'TEXT_MODEL_ERROR',
+                details: { model: this.config.textModel }
+            });
+        }
+
+        const blockReason = result?.response?.promptFeedback?.blockReason;
+        if (blockReason) {
+            throw new ContentPolicyError(`Text model blocked the prompt: ${blockReason}`, {
+                model: this.config.textModel,
+                reasons: [blockReason]
+            });
+        }
+
+        const candidate = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+        return candidate ? candidate.replace(/^["']|["']$/g, '') : null;
+    }
+
+    /**
+     * Optimizes a prompt for image generation, preferring the text model and
+     * falling back to deterministic rules when it is unavailable
+     * @param {string} originalPrompt - The original prompt
+     * @param {Object} enhancement - { mode, seed }; see enhancePromptQuality
+     * @param {Object} context - { tenant }; see detectProblematicContent
+     * @returns {Object} Optimization result with issues and rationale
+     */
+    async optimizePrompt(originalPrompt, enhancement, context) {
+        if (!originalPrompt || typeof originalPrompt !== 'string') {
+            throw new ValidationError('Prompt is required and must be a string', 'INVALID_PROMPT');
+        }
+
+        const issues = this.detectProblematicContent(originalPrompt, context);
+
+        if (!this.textModel) {
+            return this.deterministicOptimization(originalPrompt, issues, 'Text model unavailable', enhancement);
+        }
+
+        try {
+            // High-risk prompts go through the safety transformation first
+            const highRisk = issues.filter(issue => issue.severity === 'high');
+            if (highRisk.length > 0) {
+                const transformation = await this.smartPromptTransformation(originalPrompt, enhancement, context);
+                if (transformation.method === 'ai_safety_transformation') {
+                    return {
+                        original: originalPrompt,
+                        optimized: transformation.transformed,
+                        method: transformation.method,
+                        enhancers: [],
+                        issues: transformation.issues,
+                        rationale: [
+                            `Detected ${highRisk.length} high-risk pattern(s); rewritten for content policy compliance`
+                        ]
+                    };
+                }
+            }
+
+            const optimized = await this.requestTransformation(
+                this.transformationConfig.enhancedPrompt,
+                originalPrompt
+            );
+
+            if (!optimized) {
+                return this.deterministicOptimization(originalPrompt, issues, 'Text model returned no candidate', enhancement);
+            }
+
+            return {
+                original: originalPrompt,
+                optimized: optimized,
+                method: 'ai_optimization',
+                enhancers: [],
+                issues: issues,
+                rationale: [
+                    'Rewritten by the text model with the cultural sensitivity template',
+                    'Added photographic quality descriptors while keeping the subject intact'
+                ]
             };
+        } catch (error) {
+            logger.warn(`AI optimization failed (${error.code || 'UNKNOWN'}), using rule-based fallback:`, error.message);
+            return this.deterministicOptimization(originalPrompt, issues, `Text model error: ${error.code || error.message}`, enhancement);
         }
     }
 
+    /**
+     * Rule-based optimization: brand names become generic terms, flagged terms are
+     * softened and quality descriptors appended. Yields the same output for the
+     * same prompt unless enhancement is random
+     * @param {string} originalPrompt - The original prompt
+     * @param {Array} issues - Detected issues
+     * @param {string} reason - Why the AI path was not used
+     * @param {Object} enhancement - { mode, seed }; see pickEnhancers
+     * @returns {Object} Optimization result with issues and rationale
+     */
+    deterministicOptimization(originalPrompt, issues, reason, enhancement) {
+        const rationale = [`${reason}; applied rule-based optimization`];
+        let optimized = originalPrompt.trim();
+
+        for (const { pattern, replacement } of this.contentDetection.brandReplacements) {
+            const brands = optimized.match(pattern);
+            if (brands) {
+                const names = [...new Set(brands)].map(brand => `"${brand}"`);
+                rationale.push(`Replaced brand name${names.length > 1 ? 's' : ''} ${names.join(', ')} with "${replacement}"`);
+                optimized = optimized.replace(pattern, replacement);
+            }
+        }
+
+        for (const { pattern, replacement } of this.contentDetection.safetyReplacements) {
+            const replaced = optimized.replace(pattern, replacement);
+            if (replaced !== optimized) {
+                rationale.push(`Replaced terms matching ${pattern} with "${replacement}"`);
+                optimized = replaced;
+            }
+        }
+
+        const candidates = this.enhancerCandidates(optimized);
+        const enhancers = this.pickEnhancers(candidates, originalPrompt, enhancement);
+
+        if (enhancers.length > 0) {
+            optimized = `${optimized}, ${enhancers.join(', ')}`;
+            rationale.push(`Appended quality descriptors: ${enhancers.join(', ')}`);
+        }
+
+        return {
+            original: originalPrompt,
+            optimized: optimized,
+            method: 'rule_based',
+            enhancers: enhancers,
+            issues: issues,
+            rationale: rationale
+        };
+    }
+
+    /**
+     * Quality descriptors from config.contentDetection.qualityEnhancers that the text doesn't already contain
+     * @param {string} text - Text the descriptors will be added to
+     * @returns {Array} Candidate descriptors
+     */
+    enhancerCandidates(text) {
+        const lowered = text.toLowerCase();
+        return this.contentDetection.qualityEnhancers.filter(enhancer => !lowered.includes(enhancer));
+    }
+
+    /**
+     * Picks three quality descriptors. 'deterministic' derives the choice from the
+     * seed (or the prompt when there is none), so the same input always gives the
+     * same descriptors; 'random' picks freshly each time; 'none' picks nothing.
+     * @param {Array} candidates - Descriptors to choose from
+     * @param {string} prompt - The prompt being enhanced
+     * @param {Object} enhancement - { mode, seed }; mode defaults to random
+     * @returns {Array} Chosen descriptors, in the order they are appended
+     */
+    pickEnhancers(candidates, prompt, { mode = 'random', seed } = {}) {
+        if (mode === 'none') {
+            return [];
+        }
+
+        const random = mode === 'random'
+            ? Math.random
+            : seededRandom(hashString(seed !== undefined ? `${seed}:${prompt}` : prompt));
+
+        // Fisher-Yates; sorting with a random comparator is biased
+        const shuffled = [...candidates];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.slice(0, 3);
+    }
+
     /**
      * Enhances prompt quality without removing cultural context
      * @param {string} prompt - The original prompt
-     * @returns {string} Enhanced prompt
+     * @param {Object} enhancement - { mode, seed }; see pickEnhancers
+     * @returns {Object} { prompt, enhancers } - the enhanced prompt and the descriptors added
      */
-    enhancePromptQuality(prompt) {
-        // Add quality and context enhancers while preserving the original intent
-        const qualityEnhancers = [
-            'high quality photograph',
-            'natural lighting',
-            'authentic cultural representation',
-            'dignified portrayal',
-            'respectful documentation',
-            'human warmth and connection'
-        ];
-
-        const randomEnhancers = qualityEnhancers
-            .sort(() => 0.5 - Math.random())
-            .slice(0, 3)
-            .join(', ');
+    enhancePromptQuality(prompt, enhancement) {
+        const candidates = this.enhancerCandidates(`${prompt}, ${QUALITY_SUFFIX}`);
+        const enhancers = this.pickEnhancers(candidates, prompt, enhancement);
+        if (enhancers.length === 0) {
+            return { prompt, enhancers };
+        }
 
-        return `${randomEnhancers}, ${prompt}, photorealistic, professional photography, meaningful moment`;
+        return {
+            prompt: `${enhancers.join(', ')}, ${prompt}, ${QUALITY_SUFFIX}`,
+            enhancers
+        };
     }
 
     /**
      * Rule-based transformation - now more conservative
      * @param {string} originalPrompt - The original prompt
      * @param {Array} issues - Detected issues
+     * @param {Object} enhancement - { mode, seed }; see enhancePromptQuality
      * @returns {Object} Transformation result
      */
-    ruleBasedTransformation(originalPrompt, issues) {
+    ruleBasedTransformation(originalPrompt, issues, enhancement) {
         let transformed = originalPrompt;
 
         // Only apply transformations for truly problematic content
@@ -146,13 +404,13 @@ class PromptGuard {
                 .replace(/\b(?:sexual|inappropriate)\b/gi, 'appropriate');
         }
 
-        // Always enhance quality
-        transformed = this.enhancePromptQuality(transformed);
+        const enhanced = this.enhancePromptQuality(transformed, enhancement);
 
         return {
             original: originalPrompt,
-            transformed: transformed,
+            transformed: enhanced.prompt,
             method: 'conservative_rule_based',
+            enhancers: enhanced.enhancers,
             issues: issues
         };
     }
@@ -160,10 +418,11 @@ class PromptGuard {
     /**
      * More permissive validation for abstraction
      * @param {string} prompt - The prompt to validate
+     * @param {Object} context - { tenant }; see detectProblematicContent
      * @returns {boolean} Whether the prompt is safe
      */
-    isPromptSafeForAbstraction(prompt) {
-        const issues = this.detectProblematicContent(prompt);
+    isPromptSafeForAbstraction(prompt, context) {
+        const issues = this.detectProblematicContent(prompt, context);
         return issues.filter(issue => issue.severity === 'high').length === 0;
     }
 
@@ -179,10 +438,11 @@ class PromptGuard {
     /**
      * Gets statistics about content detection
      * @param {string} prompt - The prompt to analyze
+     * @param {Object} context - { tenant }; see detectProblematicContent
      * @returns {Object} Statistics about the prompt
      */
-    getPromptStats(prompt) {
-        const issues = this.detectProblematicContent(prompt);
+    getPromptStats(prompt, context) {
+        const issues = this.detectProblematicContent(prompt, context);
         const highSeverity = issues.filter(issue => issue.severity === 'high');
         const mediumSeverity = issues.filter(issue => issue.severity === 'medium');
 
@@ -0,0 +1,35 @@
+const config = require('./config');
+
+const presets = config.gemini.stylePresets;
+
+/**
+ * @param {string} id - Style ID
+ * @returns {Object|null} Preset with its ID, or null if unknown
+ */
+const getStylePreset = (id) => (
+    Object.prototype.hasOwnProperty.call(presets, id) ? { id, ...presets[id] } : null
+);
+
+/**
+ * @returns {Array} Every preset with its ID, in config order
+ */
+const listStylePresets = () => Object.keys(presets).map(getStylePreset);
+
+/**
+ * Wraps a prompt in a preset's prefix and suffix. The same prompt and
+ * preset always produce the same text.
+ * @param {string} prompt - Prompt after any strategy rewrite
+ * @param {Object} preset - Style preset
+ * @returns {string} Prompt to send to the model
+ */
+const applyStylePreset = (prompt, preset) => {
+    const parts = [preset.prefix, prompt.trim().replace(/[,.]$/, '')].filter(Boolean);
+    const styled = parts.join(' ');
+    return preset.suffix ? `${styled}, ${preset.suffix}` : styled;
+};
+
+module.exports = {
+    getStylePreset,
+    listStylePresets,
+    applyStylePreset,
+};
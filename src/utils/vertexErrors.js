@@ -0,0 +1,148 @@
+const config = require('./config');
+const {
+    ContentPolicyError,
+    QuotaExceededError,
+    ServiceAuthenticationError,
+    PermissionError,
+    UpstreamServiceError,
+} = require('./errors');
+
+// Responsible AI filter support codes are 8-digit numbers quoted in the message
+const SUPPORT_CODE_PATTERN = /\b\d{8}\b/g;
+
+/**
+ * Converts a Retry-After header (delta seconds or HTTP date) to milliseconds
+ * @param {string} value - Header value
+ * @returns {number|undefined} Delay in milliseconds, or undefined if absent or unparseable
+ */
+const parseRetryAfter = (value) => {
+    if (!value) {
+        return undefined;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// google.rpc.RetryInfo carries the delay as a duration string such as "30s" or "1.5s"
+const parseRetryDelay = (details) => {
+    const retryInfo = details.find(detail => detail.retryDelay);
+    if (!retryInfo) {
+        return undefined;
+    }
+
+    const seconds = parseFloat(retryInfo.retryDelay);
+    return Number.isNaN(seconds) ? undefined : Math.round(seconds * 1000);
+};
+
+const extractSupportCodes = (text) => [...new Set(String(text || '').match(SUPPORT_CODE_PATTERN) || [])];
+
+const includesAny = (text, needles) => {
+    const lower = text.toLowerCase();
+    return needles.some(needle => lower.includes(needle.toLowerCase()));
+};
+
+/**
+ * Parses a Vertex AI error response body
+ * ({ error: { code, message, status, details: [{ reason, metadata }] } })
+ * @param {number} httpStatus - HTTP status code
+ * @param {string} responseText - Raw response body
+ * @returns {Object} { httpStatus, status, message, reasons, supportCodes, retryDelayMs }
+ */
+const parseVertexErrorBody = (httpStatus, responseText) => {
+    let body = null;
+    try {
+        body = JSON.parse(responseText);
+    } catch (parseError) {
+        // Non-JSON bodies (proxies, HTML error pages) are reported as-is
+    }
+
+    const error = (body && body.error) || {};
+    const message = error.message || responseText || `HTTP ${httpStatus}`;
+    const details = Array.isArray(error.details) ? error.details : [];
+    const reasons = details
+        .map(detail => detail.reason)
+        .filter(Boolean);
+
+    return {
+        httpStatus,
+        status: error.status || null,
+        message,
+        reasons,
+        supportCodes: extractSupportCodes(message),
+        retryDelayMs: parseRetryDelay(details)
+    };
+};
+
+// Picks the error class for a failed response from its status and body
+const buildVertexError = (httpStatus, responseText, modelName) => {
+    const parsed = parseVertexErrorBody(httpStatus, responseText);
+    const details = { model: modelName, ...parsed };
+    const message = `${modelName} API error: ${httpStatus} - ${parsed.message}`;
+    const errorStrings = config.gemini.apiErrorStrings;
+
+    if (httpStatus === 429 || parsed.status === 'RESOURCE_EXHAUSTED') {
+        return new QuotaExceededError(message, details);
+    }
+
+    if (httpStatus === 401 || parsed.status === 'UNAUTHENTICATED') {
+        return new ServiceAuthenticationError(message, details);
+    }
+
+    if (httpStatus === 403 || parsed.status === 'PERMISSION_DENIED') {
+        return new PermissionError(message, details);
+    }
+
+    if (httpStatus === 400 && includesAny(parsed.message, errorStrings.personRestriction)) {
+        return new PermissionError(message, { ...details, reason: 'person_generation_restricted' });
+    }
+
+    if (httpStatus === 400 &&
+        (parsed.supportCodes.length > 0 || includesAny(parsed.message, errorStrings.contentPolicy))) {
+        // Only the filter reasons are surfaced; the raw upstream message stays in the logs
+        return new ContentPolicyError(message, {
+            model: modelName,
+            reasons: parsed.reasons,
+            supportCodes: parsed.supportCodes
+        });
+    }
+
+    return new UpstreamServiceError(message, {
+        code: httpStatus >= 500 ? 'UPSTREAM_UNAVAILABLE' : 'UPSTREAM_REJECTED_REQUEST',
+        retryable: httpStatus >= 500,
+        details
+    });
+};
+
+/**
+ * Converts a failed Vertex predict response into a typed error
+ * @param {number} httpStatus - HTTP status code
+ * @param {string} responseText - Raw response body
+ * @param {string} modelName - Model that was called
+ * @param {string} retryAfterHeader - Optional Retry-After response header
+ * @returns {ApplicationError} Typed error; retryable ones carry retryAfterMs when the upstream sent a delay
+ */
+const toVertexError = (httpStatus, responseText, modelName, retryAfterHeader) => {
+    const error = buildVertexError(httpStatus, responseText, modelName);
+    const retryAfterMs = parseRetryAfter(retryAfterHeader);
+    const retryDelayMs = error.details && error.details.retryDelayMs;
+
+    if (retryAfterMs !== undefined) {
+        error.retryAfterMs = retryAfterMs;
+    } else if (retryDelayMs !== undefined) {
+        error.retryAfterMs = retryDelayMs;
+    }
+
+    return error;
+};
+
+module.exports = {
+    parseRetryAfter,
+    extractSupportCodes,
+    parseVertexErrorBody,
+    toVertexError,
+};
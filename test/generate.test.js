@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../src/app');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('POST /api/generate with the mock provider', () => {
+    it('returns a placeholder image from the first model', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A red bicycle leaning on a brick wall', options: { format: 'png' } })
+            .expect(200);
+
+        expect(res.body.success).toBe(true);
+        expect(res.body.metadata.modelUsed).toBe('imagegeneration@006');
+        expect(res.body.data.images).toHaveLength(1);
+
+        const [image] = res.body.data.images;
+        expect(image.mimeType).toBe('image/png');
+        expect(Buffer.from(image.base64, 'base64').subarray(0, 8)).toEqual(PNG_SIGNATURE);
+    });
+
+    it('renders the same prompt to the same image', async () => {
+        const generate = () => request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A lighthouse at dusk', options: { format: 'png', metadata: 'strip', seed: 7 } })
+            .expect(200);
+
+        const [first, second] = [await generate(), await generate()];
+        expect(first.body.data.base64).toBe(second.body.data.base64);
+    });
+
+    it('returns one variant per requested sample', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A bowl of oranges on a table', options: { count: 3 } })
+            .expect(200);
+
+        expect(res.body.data.count).toBe(3);
+        expect(res.body.data.images.map(image => image.index)).toEqual([0, 1, 2]);
+    });
+
+    it('enhances the prompt reproducibly with enhance: deterministic and a seed', async () => {
+        const generate = () => request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A windmill in a tulip field', options: { enhance: 'deterministic', seed: 42 } })
+            .expect(200);
+
+        const [first, second] = [await generate(), await generate()];
+        expect(first.body.prompt.enhancement.mode).toBe('deterministic');
+        expect(first.body.prompt.enhancement.enhancers).toHaveLength(3);
+        expect(first.body.prompt.used).toContain('A windmill in a tulip field');
+        expect(first.body.prompt.used).not.toBe('A windmill in a tulip field');
+        expect(second.body.prompt.used).toBe(first.body.prompt.used);
+        expect(second.body.prompt.enhancement.enhancers).toEqual(first.body.prompt.enhancement.enhancers);
+    });
+
+    it('leaves the prompt untouched with enhance: none', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A windmill in a tulip field', options: { enhance: 'none', seed: 42 } })
+            .expect(200);
+
+        expect(res.body.prompt.used).toBe('A windmill in a tulip field');
+        expect(res.body.prompt.enhancement.enhancers).toEqual([]);
+    });
+
+    it('sends the prompt as the strategy wrote it without enhance', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A windmill in a tulip field' })
+            .expect(200);
+
+        expect(res.body.prompt.used).toBe('A windmill in a tulip field');
+        expect(res.body.prompt.enhancement).toEqual({ mode: 'none', enhancers: [] });
+    });
+
+    it('embeds the generation details into PNG output by default', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A fox in the snow', options: { format: 'png' } })
+            .expect(200);
+
+        expect(res.body.options.metadata).toBe('embed');
+        const inspected = await request(app)
+            .post('/api/inspect')
+            .set('Content-Type', 'image/png')
+            .send(Buffer.from(res.body.data.base64, 'base64'))
+            .expect(200);
+        expect(inspected.body.data.metadata.prompt).toBe('A fox in the snow');
+    });
+
+    it.each(['webp', 'avif'])('defaults %s output to stripped metadata', async (format) => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A fox in the snow', options: { format } })
+            .expect(200);
+
+        expect(res.body.options.metadata).toBe('strip');
+    });
+
+    it.each(['webp', 'avif'])('rejects metadata: embed for %s output', async (format) => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A fox in the snow', options: { format, metadata: 'embed' } })
+            .expect(400);
+
+        expect(res.body.error.code).toBe('INVALID_OPTION');
+        expect(res.body.error.details.field).toBe('metadata');
+    });
+
+    it('rejects a request without a prompt', async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({})
+            .expect(400);
+
+        expect(res.body.success).toBe(false);
+        expect(res.body.error.code).toBe('MISSING_PROMPT');
+    });
+});
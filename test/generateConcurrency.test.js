@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/utils/config');
+const geminiService = require('../src/services/gemini');
+const validator = require('../src/services/validator');
+const { UpstreamServiceError } = require('../src/utils/errors');
+
+// Requests from supertest come from the loopback address, which is their identity without an API key
+const CALLER = '::ffff:127.0.0.1';
+const PROMPT = { prompt: 'A watercolor of a harbor at sunrise' };
+
+const activeCount = () => validator.limiter.activeCount(CALLER);
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('POST /api/generate concurrency slots', () => {
+    const { generationTimeoutMs } = config.app;
+    const provider = geminiService.imageProvider;
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        config.app.generationTimeoutMs = generationTimeoutMs;
+        provider.latencyMs = 0;
+        // Handlers may still be unwinding after the client has gone
+        await waitFor(async () => (await activeCount()) === 0);
+    });
+
+    it('holds a slot while generating and returns it on success', async () => {
+        provider.latencyMs = 200;
+        const pending = request(app).post('/api/generate').send(PROMPT).then(res => res);
+
+        await waitFor(async () => (await activeCount()) === 1);
+        const res = await pending;
+
+        expect(res.status).toBe(200);
+        expect(await activeCount()).toBe(0);
+    });
+
+    it('takes no slot for a request rejected by validation', async () => {
+        const res = await request(app).post('/api/generate').send({ options: { count: 9 } });
+
+        expect(res.status).toBe(400);
+        expect(await activeCount()).toBe(0);
+    });
+
+    it('returns the slot when generation fails', async () => {
+        jest.spyOn(geminiService, 'generateImage').mockRejectedValue(
+            new UpstreamServiceError('Mock upstream failure', { code: 'UPSTREAM_UNAVAILABLE' })
+        );
+
+        const res = await request(app).post('/api/generate').send(PROMPT);
+
+        expect(res.status).toBe(502);
+        expect(await activeCount()).toBe(0);
+    });
+
+    it('returns the slot when a later processing step throws', async () => {
+        jest.spyOn(geminiService, 'generateImage').mockResolvedValue(null);
+
+        const res = await request(app).post('/api/generate').send(PROMPT);
+
+        expect(res.status).toBe(500);
+        expect(await activeCount()).toBe(0);
+    });
+
+    it('returns the slot as soon as the client disconnects', async () => {
+        provider.latencyMs = 1000;
+        const aborted = request(app).post('/api/generate').send(PROMPT).timeout(150).then(res => res);
+
+        await waitFor(async () => (await activeCount()) === 1);
+        await expect(aborted).rejects.toThrow(/timeout/i);
+        // Well before the provider's latency is up
+        await waitFor(async () => (await activeCount()) === 0, 500);
+    });
+
+    it('returns the slot when generation times out', async () => {
+        // Runs until the request's signal aborts it
+        jest.spyOn(geminiService, 'generateImage').mockImplementation((prompt, userId, options, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Generation aborted')));
+        }));
+        config.app.generationTimeoutMs = 100;
+
+        const res = await request(app).post('/api/generate').send(PROMPT);
+
+        expect(res.status).toBe(504);
+        expect(res.body.error.code).toBe('GENERATION_TIMEOUT');
+        expect(await activeCount()).toBe(0);
+    });
+
+    it('is back to zero after a mix of outcomes run side by side', async () => {
+        provider.latencyMs = 100;
+        const outcomes = await Promise.allSettled([
+            request(app).post('/api/generate').send(PROMPT),
+            request(app).post('/api/generate').send({}),
+            request(app).post('/api/generate').send(PROMPT).timeout(30),
+            request(app).post('/api/generate').send(PROMPT)
+        ]);
+
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+        await waitFor(async () => (await activeCount()) === 0);
+    });
+});
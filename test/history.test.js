@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const apiKeys = require('../src/services/apiKeys');
+const history = require('../src/services/history');
+const app = require('../src/app');
+
+const generate = (token, prompt) => {
+    const req = request(app).post('/api/generate');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({ prompt, options: { format: 'png' } }).expect(200);
+};
+
+const listHistory = (token) => request(app)
+    .get('/api/history')
+    .set('Authorization', `Bearer ${token}`);
+
+describe('/api/history', () => {
+    let alice;
+    let bob;
+
+    beforeAll(() => {
+        alice = apiKeys.create({ name: 'alice' });
+        bob = apiKeys.create({ name: 'bob' });
+    });
+
+    test('rejects callers without an API key and records nothing for them', async () => {
+        await generate(null, 'A kite over the dunes');
+
+        const res = await request(app).get('/api/history');
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('MISSING_API_KEY');
+        expect(await request(app).delete('/api/history').then(response => response.status)).toBe(401);
+
+        const prompts = [...history.entries.values()].flat().map(entry => entry.prompt.original);
+        expect(prompts).not.toContain('A kite over the dunes');
+    });
+
+    test('keeps each key\'s history to itself', async () => {
+        await generate(alice.key, 'A teapot on a windowsill');
+
+        const own = await listHistory(alice.key).expect(200);
+        expect(own.body.data.map(entry => entry.prompt.original)).toEqual(['A teapot on a windowsill']);
+        const [entry] = own.body.data;
+
+        const other = await listHistory(bob.key).expect(200);
+        expect(other.body.data).toEqual([]);
+
+        const stolen = await request(app)
+            .delete(`/api/history/${entry.id}`)
+            .set('Authorization', `Bearer ${bob.key}`);
+        expect(stolen.status).toBe(404);
+
+        await request(app)
+            .delete(`/api/history/${entry.id}`)
+            .set('Authorization', `Bearer ${alice.key}`)
+            .expect(200);
+        expect((await listHistory(alice.key)).body.data).toEqual([]);
+    });
+});
+
+describe('HistoryService files', () => {
+    const dir = path.join(process.env.TEST_DATA_DIR, 'history-files');
+    const createService = () => new history.constructor({ dir, maxEntriesPerUser: 3, defaultPageSize: 20, maxPageSize: 100 });
+    const record = (service, userId, prompt) => service.record({
+        userId,
+        prompt: { original: prompt, used: prompt },
+        modelUsed: 'imagegeneration@006',
+        options: {},
+        processingTimeMs: 1,
+        source: 'generate',
+        images: []
+    });
+
+    test('writes one file per caller in the background and reloads them', async () => {
+        const service = createService();
+        for (let i = 1; i <= 5; i++) {
+            record(service, 'key:aaaaaaaaaaaa', `prompt ${i}`);
+        }
+        record(service, 'key:bbbbbbbbbbbb', 'other caller');
+        await service.flush();
+
+        expect(fs.readdirSync(dir).filter(name => name.endsWith('.json'))).toHaveLength(2);
+
+        const reloaded = createService();
+        expect(reloaded.list('key:aaaaaaaaaaaa', {}).entries.map(entry => entry.prompt.original))
+            .toEqual(['prompt 5', 'prompt 4', 'prompt 3']);
+        expect(reloaded.list('key:bbbbbbbbbbbb', {}).entries).toHaveLength(1);
+    });
+
+    test('removes a caller\'s file when their history is cleared', async () => {
+        const service = createService();
+        record(service, 'key:cccccccccccc', 'to be cleared');
+        await service.flush();
+        const file = service.fileFor('key:cccccccccccc');
+        expect(fs.existsSync(file)).toBe(true);
+
+        expect(await service.clear('key:cccccccccccc')).toBe(1);
+        expect(fs.existsSync(file)).toBe(false);
+    });
+});
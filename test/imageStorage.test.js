@@ -0,0 +1,110 @@
+// Setup turns storage off for every other suite
+process.env.IMAGE_STORAGE = 'local';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const apiKeys = require('../src/services/apiKeys');
+const history = require('../src/services/history');
+const imageStorage = require('../src/services/imageStorage');
+const app = require('../src/app');
+
+const imagesDir = process.env.IMAGE_STORAGE_DIR;
+const storedFiles = () => (fs.existsSync(imagesDir) ? fs.readdirSync(imagesDir) : []);
+
+const generate = (token, options) => {
+    const req = request(app).post('/api/generate');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({ prompt: 'A lighthouse at dusk', options: { format: 'png', ...options } }).expect(200);
+};
+
+// Moves an image's saved time back, as the sweep sees it
+const age = (id, seconds) => {
+    const time = new Date(Date.now() - seconds * 1000);
+    fs.utimesSync(path.join(imagesDir, `${id}.json`), time, time);
+};
+
+describe('image storage', () => {
+    let owner;
+
+    beforeAll(() => {
+        owner = apiKeys.create({ name: 'owner' });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(imagesDir, { recursive: true, force: true });
+    });
+
+    test('leaves nothing on disk for an inline generation without an API key', async () => {
+        const res = await generate(null, { response: 'base64' });
+
+        expect(res.body.data.base64).toBeTruthy();
+        expect(res.body.data.url).toBeUndefined();
+        expect(storedFiles()).toEqual([]);
+    });
+
+    test('saves the images of a url response without an API key', async () => {
+        const res = await generate(null, { response: 'url' });
+
+        expect(storedFiles()).toContain(`${res.body.data.id}.json`);
+        const image = await request(app).get(res.body.data.url).expect(200);
+        expect(image.headers['content-type']).toBe('image/png');
+    });
+
+    test('strips the prompt from url images, which anyone with the link can open', async () => {
+        const res = await generate(null, { response: 'url' });
+        expect(res.body.options.metadata).toBe('strip');
+
+        const image = await request(app).get(res.body.data.url).expect(200);
+        const inspected = await request(app)
+            .post('/api/inspect')
+            .set('Content-Type', 'image/png')
+            .send(image.body)
+            .expect(200);
+        expect(inspected.body.data.metadata).toBeNull();
+    });
+
+    test('embeds the prompt in url images when asked to', async () => {
+        const res = await generate(null, { response: 'url', metadata: 'embed' });
+        expect(res.body.options.metadata).toBe('embed');
+
+        const image = await request(app).get(res.body.data.url).expect(200);
+        const inspected = await request(app)
+            .post('/api/inspect')
+            .set('Content-Type', 'image/png')
+            .send(image.body)
+            .expect(200);
+        expect(inspected.body.data.metadata.prompt).toBe('A lighthouse at dusk');
+    });
+
+    test('saves inline images for API keys, so history can show them', async () => {
+        const res = await generate(owner.key, { response: 'base64' });
+
+        expect(storedFiles()).toContain(`${res.body.data.id}.json`);
+        expect(history.imageIds().has(res.body.data.id)).toBe(true);
+    });
+
+    test('sweeps images past retention that no history entry references', async () => {
+        const owned = (await generate(owner.key, { response: 'base64' })).body.data.id;
+        const expired = (await generate(null, { response: 'url' })).body.data.id;
+        const fresh = (await generate(null, { response: 'url' })).body.data.id;
+        age(owned, imageStorage.retentionSeconds + 60);
+        age(expired, imageStorage.retentionSeconds + 60);
+
+        expect(await imageStorage.sweep(history.imageIds())).toBe(1);
+
+        expect(await imageStorage.load(expired)).toBeNull();
+        expect(await imageStorage.load(owned)).not.toBeNull();
+        expect(await imageStorage.load(fresh)).not.toBeNull();
+        await request(app).get(`/api/images/${expired}`).expect(404);
+    });
+
+    test('leaves files it did not issue alone', async () => {
+        fs.mkdirSync(imagesDir, { recursive: true });
+        fs.writeFileSync(path.join(imagesDir, 'notes.json'), '{}');
+        fs.utimesSync(path.join(imagesDir, 'notes.json'), new Date(0), new Date(0));
+
+        expect(await imageStorage.sweep(new Set())).toBe(0);
+        expect(storedFiles()).toEqual(['notes.json']);
+    });
+});
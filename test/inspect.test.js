@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const app = require('../src/app');
+const { readChunks, writeChunks } = require('../src/utils/png');
+
+// A zTXt chunk: keyword, null separator, compression method 0, zlib stream
+const zTXt = (keyword, text) => ({
+    type: 'zTXt',
+    data: Buffer.concat([Buffer.from(`${keyword}\0\0`, 'latin1'), zlib.deflateSync(text)])
+});
+
+// Adds chunks just before IEND
+const withChunks = (png, extra) => {
+    const chunks = readChunks(png);
+    return writeChunks([...chunks.slice(0, -1), ...extra, chunks[chunks.length - 1]]);
+};
+
+const inspect = (png) => request(app)
+    .post('/api/inspect')
+    .set('Content-Type', 'image/png')
+    .send(png);
+
+describe('POST /api/inspect', () => {
+    let png;
+
+    beforeAll(async () => {
+        const res = await request(app)
+            .post('/api/generate')
+            .send({ prompt: 'A paper boat on a puddle', options: { format: 'png', metadata: 'strip' } })
+            .expect(200);
+        png = Buffer.from(res.body.data.base64, 'base64');
+    });
+
+    test('reads compressed text chunks', async () => {
+        const res = await inspect(withChunks(png, [zTXt('Prompt', 'A paper boat on a puddle')])).expect(200);
+
+        expect(res.body.data.metadata.prompt).toBe('A paper boat on a puddle');
+    });
+
+    test('rejects text that inflates past the limit', async () => {
+        const bomb = withChunks(png, [zTXt('Prompt', Buffer.alloc(16 * 1024 * 1024))]);
+        expect(bomb.length).toBeLessThan(100 * 1024);
+
+        const res = await inspect(bomb);
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_IMAGE');
+        expect(res.body.error.message).toContain('inflates to more than');
+    });
+
+    test('never inflates chunks it does not read', async () => {
+        const bombs = Array.from({ length: 5 }, () => zTXt('Comment', Buffer.alloc(16 * 1024 * 1024)));
+        const res = await inspect(withChunks(png, [...bombs, zTXt('Prompt', 'kept')])).expect(200);
+
+        expect(res.body.data.metadata.prompt).toBe('kept');
+    });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/utils/config');
+const PromptGuard = require('../src/utils/promptGuard');
+const { ModerationEngine } = require('../src/moderation');
+
+const ruleIds = (result) => result.matchedRules.map(match => match.rule);
+
+describe('built-in minors-sexual-content rule', () => {
+    const engine = new ModerationEngine();
+    engine.load();
+
+    test.each([
+        'naked child on a beach',
+        'children in lingerie',
+        'a sexualized photo of a minor'
+    ])('blocks "%s"', (prompt) => {
+        expect(ruleIds(engine.evaluate(prompt))).toContain('minors-sexual-content');
+    });
+
+    test.each([
+        'documentary about child labour exploitation',
+        'poster teaching kids what is inappropriate to share online',
+        'kids playing in a minor league baseball game'
+    ])('does not block "%s"', (prompt) => {
+        expect(ruleIds(engine.evaluate(prompt))).not.toContain('minors-sexual-content');
+    });
+});
+
+describe('PromptGuard tenant policies', () => {
+    let promptGuard;
+
+    beforeAll(() => {
+        const tenantPolicyDir = path.join(process.env.TEST_DATA_DIR, 'policies');
+        fs.mkdirSync(tenantPolicyDir, { recursive: true });
+        fs.writeFileSync(path.join(tenantPolicyDir, 'acme.json'), JSON.stringify({
+            version: 1,
+            rules: [
+                { id: 'competitors', action: 'rewrite', severity: 'high', terms: ['megacorp*'], replacement: 'a generic brand' }
+            ]
+        }));
+
+        const engine = new ModerationEngine({ tenantPolicyDir });
+        engine.load();
+        promptGuard = new PromptGuard(null, config.gemini, engine);
+    });
+
+    test('detects issues with the caller\'s tenant policy', () => {
+        const issues = promptGuard.detectProblematicContent('A MegaCorp soda can', { tenant: 'acme' });
+
+        expect(issues.map(issue => issue.type)).toEqual(['competitors']);
+    });
+
+    test('uses the base policy without a tenant', () => {
+        expect(promptGuard.detectProblematicContent('A MegaCorp soda can')).toEqual([]);
+    });
+
+    test('transformForPolicy rewrites using the tenant policy', async () => {
+        const result = await promptGuard.transformForPolicy('A MegaCorp soda can', { mode: 'none' }, { tenant: 'acme' });
+
+        expect(result.method).not.toBe('no_issues_detected');
+        expect(result.issues.map(issue => issue.type)).toEqual(['competitors']);
+    });
+});
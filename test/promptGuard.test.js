@@ -0,0 +1,46 @@
+const config = require('../src/utils/config');
+const moderation = require('../src/services/moderation');
+const PromptGuard = require('../src/utils/promptGuard');
+
+describe('PromptGuard quality enhancement', () => {
+    const promptGuard = new PromptGuard(null, config.gemini, moderation);
+    const { qualityEnhancers } = config.gemini.contentDetection;
+
+    test('picks descriptors from config.contentDetection.qualityEnhancers', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const { enhancers } = promptGuard.enhancePromptQuality('A market at dawn', { mode: 'deterministic', seed });
+            expect(enhancers).toHaveLength(3);
+            enhancers.forEach(enhancer => expect(qualityEnhancers).toContain(enhancer));
+        }
+    });
+
+    test('skips descriptors the prompt or the fixed suffix already contain', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const { enhancers } = promptGuard.enhancePromptQuality('Natural lighting on a harbour', { mode: 'deterministic', seed });
+            expect(enhancers).not.toContain('natural lighting');
+            expect(enhancers).not.toContain('professional photography');
+        }
+    });
+
+    test('deterministic mode repeats for the same prompt and seed', () => {
+        const first = promptGuard.enhancePromptQuality('A market at dawn', { mode: 'deterministic', seed: 3 });
+        const second = promptGuard.enhancePromptQuality('A market at dawn', { mode: 'deterministic', seed: 3 });
+
+        expect(second).toEqual(first);
+    });
+
+    test('defaults to random selection', () => {
+        const random = jest.spyOn(Math, 'random');
+        try {
+            promptGuard.enhancePromptQuality('A market at dawn');
+            expect(random).toHaveBeenCalled();
+        } finally {
+            random.mockRestore();
+        }
+    });
+
+    test('none adds nothing', () => {
+        expect(promptGuard.enhancePromptQuality('A market at dawn', { mode: 'none' }))
+            .toEqual({ prompt: 'A market at dawn', enhancers: [] });
+    });
+});
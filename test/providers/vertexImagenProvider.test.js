@@ -0,0 +1,51 @@
+jest.mock('node-fetch');
+
+const fetch = require('node-fetch');
+const VertexImagenProvider = require('../../src/providers/vertexImagenProvider');
+const { CancelledError } = require('../../src/utils/errors');
+
+const tokenManager = { getToken: async () => 'token', invalidate: jest.fn() };
+const provider = new VertexImagenProvider({ tokenManager, projectId: 'project', location: 'us-central1' });
+const body = { instances: [{ prompt: 'A kite' }], parameters: { sampleCount: 1 } };
+
+describe('VertexImagenProvider.predict', () => {
+    afterEach(() => {
+        fetch.mockReset();
+    });
+
+    it('passes the abort signal to fetch', async () => {
+        fetch.mockResolvedValue({ ok: true, status: 200, text: async () => '{"predictions":[]}' });
+        const controller = new AbortController();
+
+        await expect(provider.predict('imagegeneration@006', body, { signal: controller.signal }))
+            .resolves.toEqual({ predictions: [] });
+        expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    it('turns an aborted request into a cancellation', async () => {
+        // Like node-fetch: rejects at once for an aborted signal, or when it aborts later
+        fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+            const abort = () => {
+                const error = new Error('The user aborted a request.');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            if (signal.aborted) {
+                abort();
+            }
+            signal.addEventListener('abort', abort);
+        }));
+        const controller = new AbortController();
+        const pending = provider.predict('imagegeneration@006', body, { signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toBeInstanceOf(CancelledError);
+    });
+
+    it('treats connection failures as retryable', async () => {
+        fetch.mockRejectedValue(new Error('ECONNRESET'));
+
+        await expect(provider.predict('imagegeneration@006', body))
+            .rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', retryable: true });
+    });
+});
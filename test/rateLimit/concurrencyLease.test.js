@@ -0,0 +1,58 @@
+const { createRateLimitStore, SlidingWindowLimiter, ConcurrencyLease } = require('../../src/rateLimit');
+
+describe('ConcurrencyLease', () => {
+    let store;
+    let limiter;
+
+    beforeEach(() => {
+        store = createRateLimitStore('memory');
+        limiter = new SlidingWindowLimiter(store, { concurrencyTtlMs: 600000 });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    const lease = async (timeoutMs = 600000) => {
+        await limiter.acquire('caller', 5);
+        return new ConcurrencyLease(limiter, 'caller', { timeoutMs });
+    };
+
+    it('returns the slot on release', async () => {
+        const held = await lease();
+        expect(await limiter.activeCount('caller')).toBe(1);
+
+        expect(await held.release()).toBe(true);
+        expect(await limiter.activeCount('caller')).toBe(0);
+    });
+
+    it('releases only once however many exit paths call it', async () => {
+        const held = await lease();
+        await lease();
+
+        const results = await Promise.all([held.release(), held.release(), held.release()]);
+        expect(results).toEqual([true, false, false]);
+        expect(await limiter.activeCount('caller')).toBe(1);
+    });
+
+    it('frees itself when never released', async () => {
+        jest.useFakeTimers();
+        try {
+            await lease(1000);
+            jest.advanceTimersByTime(1000);
+        } finally {
+            jest.useRealTimers();
+        }
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(await limiter.activeCount('caller')).toBe(0);
+    });
+
+    it('does not throw when the store fails to release', async () => {
+        const held = await lease();
+        jest.spyOn(limiter, 'release').mockRejectedValueOnce(new Error('store down'));
+
+        await expect(held.release()).resolves.toBe(true);
+        expect(held.released).toBe(true);
+    });
+});
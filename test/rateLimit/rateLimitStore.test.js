@@ -0,0 +1,43 @@
+const stores = require('./stores');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe.each(stores)('%s rate limit store', (name, createStore) => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore();
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('creates counters on first increment and adds to them after', async () => {
+        expect(await store.increment('a', 1, 60000)).toBe(1);
+        expect(await store.increment('a', 2, 60000)).toBe(3);
+        expect(await store.increment('a', -1, 60000)).toBe(2);
+    });
+
+    it('reads missing counters as 0', async () => {
+        await store.increment('a', 5, 60000);
+
+        expect(await store.getMany(['a', 'missing'])).toEqual([5, 0]);
+        expect(await store.getMany([])).toEqual([]);
+    });
+
+    it('keeps counters separate', async () => {
+        await store.increment('a', 1, 60000);
+        await store.increment('b', 4, 60000);
+
+        expect(await store.getMany(['a', 'b'])).toEqual([1, 4]);
+    });
+
+    it('expires counters after their TTL', async () => {
+        await store.increment('a', 1, 20);
+        await sleep(40);
+
+        expect(await store.getMany(['a'])).toEqual([0]);
+        expect(await store.increment('a', 1, 60000)).toBe(1);
+    });
+});
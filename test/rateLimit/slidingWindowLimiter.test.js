@@ -0,0 +1,95 @@
+const { SlidingWindowLimiter } = require('../../src/rateLimit');
+const stores = require('./stores');
+
+const WINDOW_MS = 60000;
+
+describe.each(stores)('SlidingWindowLimiter on the %s store', (name, createStore) => {
+    let store;
+    let limiter;
+    let now;
+
+    beforeEach(() => {
+        // Window boundaries fall on multiples of the window length, so time is pinned
+        now = WINDOW_MS * 1000 + 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        store = createStore();
+        limiter = new SlidingWindowLimiter(store, { concurrencyTtlMs: 600000 });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await store.close();
+    });
+
+    it('allows requests up to the limit and denies the next', async () => {
+        for (let i = 1; i <= 3; i++) {
+            const hit = await limiter.hit('caller', WINDOW_MS, 3);
+            expect(hit).toMatchObject({ allowed: true, used: i, remaining: 3 - i });
+        }
+
+        const denied = await limiter.hit('caller', WINDOW_MS, 3);
+        expect(denied).toMatchObject({ allowed: false, used: 3, remaining: 0 });
+        expect(denied.retryAfterMs).toBeGreaterThan(0);
+    });
+
+    it('does not count denied requests', async () => {
+        await limiter.hit('caller', WINDOW_MS, 1);
+        await limiter.hit('caller', WINDOW_MS, 1);
+        await limiter.hit('caller', WINDOW_MS, 1);
+
+        expect(await limiter.peek('caller', WINDOW_MS, 1)).toMatchObject({ used: 1 });
+    });
+
+    it('weights the previous interval by how much of it is still in the window', async () => {
+        for (let i = 0; i < 4; i++) {
+            await limiter.hit('caller', WINDOW_MS, 4);
+        }
+
+        // Three quarters into the next interval, a quarter of the previous one still counts
+        now += WINDOW_MS - 1000 + WINDOW_MS * 0.75;
+        expect(await limiter.peek('caller', WINDOW_MS, 4)).toMatchObject({ used: 1, remaining: 3 });
+    });
+
+    it('keeps callers apart', async () => {
+        await limiter.hit('a', WINDOW_MS, 1);
+
+        expect(await limiter.hit('b', WINDOW_MS, 1)).toMatchObject({ allowed: true });
+    });
+
+    it('reverts a hit with undo', async () => {
+        const hit = await limiter.hit('caller', WINDOW_MS, 5);
+        await limiter.undo(hit);
+
+        expect(await limiter.peek('caller', WINDOW_MS, 5)).toMatchObject({ used: 0 });
+    });
+
+    it('reverts the counter of the original interval when undo runs after a boundary', async () => {
+        now = WINDOW_MS * 1001 - 1;
+        const hit = await limiter.hit('caller', WINDOW_MS, 5);
+
+        now = WINDOW_MS * 1001 + 1;
+        await limiter.undo(hit);
+
+        const [before, after] = await store.getMany([`caller:${WINDOW_MS}:1000`, `caller:${WINDOW_MS}:1001`]);
+        expect(before).toBe(0);
+        expect(after).toBe(0);
+    });
+
+    it('limits concurrency slots and returns them on release', async () => {
+        expect(await limiter.acquire('caller', 2)).toMatchObject({ allowed: true, active: 1 });
+        expect(await limiter.acquire('caller', 2)).toMatchObject({ allowed: true, active: 2 });
+        expect(await limiter.acquire('caller', 2)).toMatchObject({ allowed: false, active: 2 });
+
+        await limiter.release('caller');
+        await limiter.release('caller');
+        expect(await limiter.activeCount('caller')).toBe(0);
+    });
+
+    it('never lets a stray release push the count below zero', async () => {
+        await limiter.release('caller');
+        await limiter.release('caller');
+
+        expect(await limiter.activeCount('caller')).toBe(0);
+        expect(await limiter.acquire('caller', 1)).toMatchObject({ allowed: true, active: 1 });
+    });
+});
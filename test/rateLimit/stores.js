@@ -0,0 +1,10 @@
+const RedisMock = require('ioredis-mock');
+const { createRateLimitStore } = require('../../src/rateLimit');
+
+let prefixes = 0;
+
+// Each store the limiter can run on; Redis runs against an in-process stand-in
+module.exports = [
+    ['memory', () => createRateLimitStore('memory')],
+    ['redis', () => createRateLimitStore('redis', { client: new RedisMock(), keyPrefix: `test:${++prefixes}:` })]
+];
@@ -0,0 +1,53 @@
+const { withAttemptTimeout } = require('../../src/resilience');
+const { CancelledError, UpstreamServiceError } = require('../../src/utils/errors');
+
+// Resolves after ms unless the signal aborts first, like a fetch would
+const slowCall = (ms) => (signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve('done'), ms);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+    });
+});
+
+const onTimeout = () => new UpstreamServiceError('timed out', { code: 'UPSTREAM_UNAVAILABLE', retryable: true });
+
+describe('withAttemptTimeout', () => {
+    it('returns the result of an attempt that finishes in time', async () => {
+        await expect(withAttemptTimeout(slowCall(5), { timeoutMs: 500, onTimeout })).resolves.toBe('done');
+    });
+
+    it('aborts a slow attempt and throws the timeout error', async () => {
+        const started = Date.now();
+
+        await expect(withAttemptTimeout(slowCall(5000), { timeoutMs: 50, onTimeout }))
+            .rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE', retryable: true });
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('aborts the attempt when the caller cancels', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+
+        await expect(withAttemptTimeout(slowCall(5000), { timeoutMs: 5000, signal: controller.signal, onTimeout }))
+            .rejects.toBeInstanceOf(CancelledError);
+    });
+
+    it('does not start when the caller has already cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const call = jest.fn();
+
+        await expect(withAttemptTimeout(call, { timeoutMs: 500, signal: controller.signal, onTimeout }))
+            .rejects.toBeInstanceOf(CancelledError);
+        expect(call).not.toHaveBeenCalled();
+    });
+
+    it('passes other failures through', async () => {
+        const failure = new Error('boom');
+
+        await expect(withAttemptTimeout(() => Promise.reject(failure), { timeoutMs: 500, onTimeout })).rejects.toBe(failure);
+    });
+});
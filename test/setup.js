@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets the offline mock provider and its own data directory,
+// so suites never need Google Cloud credentials or touch the repo's data/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imggen-test-'));
+
+Object.assign(process.env, {
+    IMAGE_PROVIDER: 'mock',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+    IMAGE_STORAGE: 'none',
+    API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+    TEMPLATES_FILE: path.join(dataDir, 'templates.json'),
+    HISTORY_DIR: path.join(dataDir, 'history'),
+    IMAGE_STORAGE_DIR: path.join(dataDir, 'images'),
+    TEST_DATA_DIR: dataDir
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const LocalStore = require('../../src/storage/localStore');
+const { StorageError } = require('../../src/utils/errors');
+
+const metadata = { mimeType: 'image/png', size: 4, etag: 'abc123', createdAt: '2026-01-01T00:00:00.000Z', userId: 'key:0123456789ab' };
+
+describe('LocalStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(process.env.TEST_DATA_DIR, 'local-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('creates its directory on the first save, not at startup', async () => {
+        const imagesDir = path.join(dir, 'nested', 'images');
+        const store = new LocalStore({ dir: imagesDir });
+        expect(fs.existsSync(imagesDir)).toBe(false);
+        expect(await store.get('0123abcd')).toBeNull();
+
+        const data = Buffer.from([1, 2, 3, 4]);
+        await store.put('0123abcd', data, metadata);
+
+        expect(await store.get('0123abcd')).toEqual({ data, metadata });
+    });
+
+    test('deletes images, and deleting a missing one is not an error', async () => {
+        const store = new LocalStore({ dir });
+        await store.put('0123abcd', Buffer.from('gone'), metadata);
+        await store.delete('0123abcd');
+
+        expect(await store.get('0123abcd')).toBeNull();
+        await expect(store.delete('0123abcd')).resolves.toBeUndefined();
+    });
+
+    test('lists saved images with the time their metadata was written', async () => {
+        const store = new LocalStore({ dir: path.join(dir, 'images') });
+        expect(await store.list()).toEqual([]);
+
+        await store.put('0123abcd', Buffer.from('x'), metadata);
+        const time = new Date('2026-01-02T00:00:00.000Z');
+        fs.utimesSync(path.join(dir, 'images', '0123abcd.json'), time, time);
+
+        expect(await store.list()).toEqual([{ id: '0123abcd', lastModified: time }]);
+    });
+
+    test('names the directory when it cannot be created', async () => {
+        const file = path.join(dir, 'not-a-directory');
+        fs.writeFileSync(file, '');
+        const store = new LocalStore({ dir: path.join(file, 'images') });
+
+        const error = await store.put('0123abcd', Buffer.from('x'), metadata).catch(caught => caught);
+        expect(error).toBeInstanceOf(StorageError);
+        expect(error.message).toContain(`Image directory ${path.join(file, 'images')} is not writable`);
+    });
+
+    test('names the directory when it cannot be written', async () => {
+        const store = new LocalStore({ dir });
+        jest.spyOn(fs.promises, 'writeFile').mockRejectedValue(Object.assign(new Error('permission denied'), { code: 'EACCES' }));
+
+        await expect(store.put('0123abcd', Buffer.from('x'), metadata))
+            .rejects.toThrow(`Image directory ${dir} is not writable (EACCES)`);
+    });
+});
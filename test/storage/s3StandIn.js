@@ -0,0 +1,107 @@
+const http = require('http');
+const { sha256Hex, signRequest } = require('../../src/storage/s3Signature');
+
+/**
+ * Minimal in-process S3 server: path-style PUT, GET and DELETE on one bucket,
+ * with x-amz-meta-* headers kept alongside the object, and ListObjectsV2 paged
+ * listPageSize keys at a time. Every request's SigV4 signature is checked
+ * against the secret, as a real server would.
+ * @param {Object} options - { bucket, accessKeyId, secretAccessKey, region, listPageSize }
+ * @returns {Promise<Object>} { endpoint, objects, requests, close() }
+ */
+const startS3StandIn = async ({ bucket, accessKeyId, secretAccessKey, region, listPageSize = 1000 }) => {
+    const objects = new Map();
+    const requests = [];
+
+    const sendError = (res, status, code) => {
+        res.writeHead(status, { 'content-type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+    };
+
+    const listObjects = (res, query) => {
+        const prefix = query.get('prefix') || '';
+        const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+        const start = query.has('continuation-token') ? Number(query.get('continuation-token')) : 0;
+        const page = keys.slice(start, start + listPageSize);
+        const truncated = start + page.length < keys.length;
+
+        res.writeHead(200, { 'content-type': 'application/xml' });
+        res.end('<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+            page.map(key => `<Contents><Key>${key}</Key><LastModified>${objects.get(key).lastModified.toISOString()}</LastModified></Contents>`).join('') +
+            `<IsTruncated>${truncated}</IsTruncated>` +
+            (truncated ? `<NextContinuationToken>${start + page.length}</NextContinuationToken>` : '') +
+            '</ListBucketResult>');
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            requests.push({ method: req.method, path: url.pathname, headers: req.headers });
+
+            // Re-sign what actually arrived and compare signatures
+            const signedNames = (/SignedHeaders=([^,]+)/.exec(req.headers.authorization || '') || [])[1];
+            if (!signedNames || !req.headers.authorization.includes(`Credential=${accessKeyId}/`)) {
+                return sendError(res, 403, 'InvalidAccessKeyId');
+            }
+            const headers = {};
+            for (const name of signedNames.split(';')) {
+                if (!['host', 'x-amz-content-sha256', 'x-amz-date'].includes(name)) {
+                    headers[name] = req.headers[name];
+                }
+            }
+            const amzDate = req.headers['x-amz-date'];
+            const now = new Date(`${amzDate.slice(0, 4)}-${amzDate.slice(4, 6)}-${amzDate.slice(6, 8)}T${amzDate.slice(9, 11)}:${amzDate.slice(11, 13)}:${amzDate.slice(13, 15)}Z`);
+            const expected = signRequest({ method: req.method, url, headers, payloadHash: sha256Hex(body) }, { accessKeyId, secretAccessKey, region }, now);
+            if (expected.authorization !== req.headers.authorization) {
+                return sendError(res, 403, 'SignatureDoesNotMatch');
+            }
+
+            if (req.method === 'GET' && url.pathname === `/${bucket}` && url.searchParams.get('list-type') === '2') {
+                return listObjects(res, url.searchParams);
+            }
+
+            const prefix = `/${bucket}/`;
+            if (!url.pathname.startsWith(prefix)) {
+                return sendError(res, 404, 'NoSuchBucket');
+            }
+            const key = decodeURIComponent(url.pathname.slice(prefix.length));
+
+            if (req.method === 'PUT') {
+                const metadata = Object.fromEntries(Object.entries(req.headers).filter(([name]) => name.startsWith('x-amz-meta-')));
+                objects.set(key, { body, contentType: req.headers['content-type'], metadata, lastModified: new Date() });
+                res.writeHead(200);
+                return res.end();
+            }
+
+            const object = objects.get(key);
+            if (req.method === 'GET') {
+                if (!object) {
+                    return sendError(res, 404, 'NoSuchKey');
+                }
+                res.writeHead(200, { 'content-type': object.contentType, ...object.metadata });
+                return res.end(object.body);
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+
+            sendError(res, 405, 'MethodNotAllowed');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { startS3StandIn };
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const config = require('../src/utils/config');
+const apiKeys = require('../src/services/apiKeys');
+const app = require('../src/app');
+
+const ADMIN_KEY = 'test-admin-key';
+
+const definition = {
+    name: 'Product in setting',
+    prompt: '{{product}} on a table in a {{setting}}',
+    variables: [
+        { name: 'product', type: 'string', maxLength: 60 },
+        { name: 'setting', type: 'enum', options: ['kitchen', 'garden'], default: 'kitchen' }
+    ]
+};
+
+describe('/api/templates', () => {
+    let owner;
+    let other;
+
+    beforeAll(() => {
+        config.auth.adminKey = ADMIN_KEY;
+        owner = apiKeys.create({ name: 'owner' }).key;
+        other = apiKeys.create({ name: 'other' }).key;
+    });
+
+    const createTemplate = async (token) => {
+        const req = request(app).post('/api/templates');
+        if (token) req.set('Authorization', `Bearer ${token}`);
+        const res = await req.send(definition);
+        expect(res.status).toBe(201);
+        return res.body.data;
+    };
+
+    test('drops variable fields it does not know', async () => {
+        const res = await request(app)
+            .post('/api/templates')
+            .set('Authorization', `Bearer ${owner}`)
+            .send({
+                ...definition,
+                variables: [
+                    { ...definition.variables[0], color: 'red', internal: true },
+                    definition.variables[1]
+                ]
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.variables[0]).toEqual({
+            name: 'product',
+            type: 'string',
+            maxLength: 60,
+            required: true
+        });
+        expect(res.body.data.variables[1]).toEqual({
+            name: 'setting',
+            type: 'enum',
+            options: ['kitchen', 'garden'],
+            default: 'kitchen',
+            required: false
+        });
+    });
+
+    test('lets the creating key replace and delete its template', async () => {
+        const template = await createTemplate(owner);
+
+        const updated = await request(app)
+            .put(`/api/templates/${template.id}`)
+            .set('Authorization', `Bearer ${owner}`)
+            .send({ ...definition, name: 'Renamed' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.data.name).toBe('Renamed');
+
+        const deleted = await request(app)
+            .delete(`/api/templates/${template.id}`)
+            .set('Authorization', `Bearer ${owner}`);
+        expect(deleted.status).toBe(200);
+        expect((await request(app).get(`/api/templates/${template.id}`)).status).toBe(404);
+    });
+
+    test('rejects changes from other keys and from IP-only callers', async () => {
+        const template = await createTemplate(owner);
+
+        const byOtherKey = await request(app)
+            .put(`/api/templates/${template.id}`)
+            .set('Authorization', `Bearer ${other}`)
+            .send({ ...definition, name: 'Hijacked' });
+        expect(byOtherKey.status).toBe(403);
+        expect(byOtherKey.body.error.code).toBe('TEMPLATE_FORBIDDEN');
+
+        const byIp = await request(app).delete(`/api/templates/${template.id}`);
+        expect(byIp.status).toBe(403);
+        expect(byIp.body.error.code).toBe('TEMPLATE_FORBIDDEN');
+
+        const stored = await request(app).get(`/api/templates/${template.id}`);
+        expect(stored.body.data.name).toBe(definition.name);
+    });
+
+    test('only lets an admin change templates created without a key', async () => {
+        const template = await createTemplate();
+
+        const byCreatorIp = await request(app).delete(`/api/templates/${template.id}`);
+        expect(byCreatorIp.status).toBe(403);
+
+        const byAdmin = await request(app)
+            .delete(`/api/templates/${template.id}`)
+            .set('Authorization', `Bearer ${ADMIN_KEY}`);
+        expect(byAdmin.status).toBe(200);
+    });
+
+    test('returns 404 for an unknown template before checking ownership', async () => {
+        const res = await request(app)
+            .delete('/api/templates/unknown')
+            .set('Authorization', `Bearer ${other}`);
+
+        expect(res.status).toBe(404);
+        expect(res.body.error.code).toBe('TEMPLATE_NOT_FOUND');
+    });
+});